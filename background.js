@@ -7,31 +7,132 @@
  *
  */
 
-// Hardcoded institution scope
-const INSTITUTION_CODE = "01BRAND_INST";
-const FALLBACK_E_ONE_TIME = "ELECTRONIC_TITLE_OT";
+// Shared vendor adapters (self.AlmaVendors)
+importScripts("vendors.js");
+
+// Institution scope used until the environment sets one (options → Institution code)
+const DEFAULT_INSTITUTION_CODE = "01BRAND_INST";
+
+// Alma API gateway for each region
+const ALMA_API_HOSTS = {
+    NA: "https://api-na.hosted.exlibrisgroup.com",
+    EU: "https://api-eu.hosted.exlibrisgroup.com",
+    AP: "https://api-ap.hosted.exlibrisgroup.com",
+    CA: "https://api-ca.hosted.exlibrisgroup.com",
+    CN: "https://api-cn.hosted.exlibrisgroup.com.cn"
+};
+
+// Settings that belong to an environment (production, sandbox, ...). The active environment's values live
+// under these keys in chrome.storage.local; the others are kept in ALMA_ENVIRONMENTS until switched to.
+const ENV_KEYS = [
+    "ALMA_INSTITUTION", "ALMA_REGION", "ALMA_DOMAIN",
+    "ALMA_API_KEY_C", "ALMA_API_KEY_IV", "ALMA_API_KEY_LEN",
+    "ALMA_ORDER_PROFILES", "ALMA_VENDOR_MAP", "ALMA_LOCATION_DEFAULTS", "ALMA_FUND_BALANCE_MODE",
+    "ALMA_QUOTA_FLOOR", "ALMA_BIB_MODE", "ALMA_APPROVAL_THRESHOLD", "ALMA_KANOPY_LICENSES", "ALMA_ORDER_HISTORY", "ALMA_OUTBOX", "ALMA_APPROVAL_QUEUE", "ALMA_REMAINING", "ALMA_REMAINING_AT"
+];
+
+// Alma code tables behind the reporting code, PO line type, material type, access model and cancellation reason dropdowns
+const REPORTING_CODE_TABLE = "HFundsTransactionItem.reportingCode";
+const PO_LINE_TYPE_TABLE = "PurchaseType";
+const MATERIAL_TYPE_TABLE = "PhysicalMaterialType";
+const ACCESS_MODEL_TABLE = "AccessModel";
+const CANCEL_REASON_TABLE = "POLineCancellationReasons";
+
+// Retries of transient Alma failures (see almaRequest()); a longer Retry-After than the cap isn't waited for
+const ALMA_MAX_RETRIES = 3;
+const ALMA_BACKOFF_BASE_MS = 500;
+const ALMA_BACKOFF_MAX_MS = 8000;
+const ALMA_RETRY_AFTER_MAX_MS = 30000;
+
+// Remaining daily API calls below which non-essential calls are refused, until options set ALMA_QUOTA_FLOOR
+const DEFAULT_QUOTA_FLOOR = 500;
+
 // Config from chrome.storage.local (not sync); current runtime config for the extension
 let CONFIG = {
     ALMA_API_KEY: null,
+    ALMA_INSTITUTION: DEFAULT_INSTITUTION_CODE,
     ALMA_REGION: "NA",
+    ALMA_DOMAIN: "brandeis.alma.exlibrisgroup.com",
+    ALMA_VENDOR_MAP: {},
+    ALMA_ORDER_PROFILES: null,
+    ALMA_QUOTA_FLOOR: DEFAULT_QUOTA_FLOOR,
+    ALMA_BIB_MODE: "link",
+    ALMA_APPROVAL_THRESHOLD: null,
+    ALMA_FUND_BALANCE_MODE: "warn",
+};
+// Set once refreshConfig() has read storage in this service worker's lifetime
+let CONFIG_LOADED = false;
+
+// Orders that failed for a transient reason wait in ALMA_OUTBOX; this alarm retries them
+const OUTBOX_ALARM = "ALMA_OUTBOX";
+const OUTBOX_RETRY_MINUTES = 5;
+const OUTBOX_MAX_ATTEMPTS = 20;
+let OUTBOX_RUNNING = false;
+// Writes to the outbox and approval queue, chained so one save can't drop another's change
+let QUEUE_WRITES = Promise.resolve();
+
+// Held orders (ALMA_APPROVAL_QUEUE ids) being decided right now, so a second approve (double click, or popup and
+// options at once) can't send one again while the first is still in flight
+const APPROVALS_BUSY = new Set();
+// A held order still "sending" after this long was cut off (the worker stopped mid-request) and gets checked again
+const APPROVAL_SENDING_STALE_MINUTES = 10;
+
+// Most pending purchase requests listed in the popup
+const PURCHASE_REQUEST_LIMIT = 100;
+
+// Most recent PO lines kept in the order history
+const ORDER_HISTORY_LIMIT = 500;
+
+// Alma data (funds, code tables, libraries, locations, vendors) cached in memory and in chrome.storage.local
+// (ALMA_CACHE) as { key: { value, at } }; entries older than their TTL are served while a fresh copy loads
+const CONF_CACHE = new Map();
+const CACHE_INFLIGHT = new Map();
+let CACHE_WRITES = Promise.resolve();
+// Bumped by invalidateCache(); a load that started before it is returned but not cached
+let CACHE_GENERATION = 0;
+
+// Time to live per kind of cached data (the part of the cache key before ":")
+const CACHE_TTL_MS = {
+    funds: 15 * 60 * 1000,
+    vendor: 60 * 60 * 1000,
+    license: 60 * 60 * 1000,
+    codetable: 24 * 60 * 60 * 1000,
+    libraries: 24 * 60 * 60 * 1000,
+    locations: 24 * 60 * 60 * 1000,
+    profiles: 24 * 60 * 60 * 1000
 };
 
 // items scraped from Kanopy
 let VENDOR_QUEUE = [];
 let VENDOR_VENDOR = "";
 
-// Profile we're using (it was set to default in Alma)
-CONFIG.ALMA_NEW_ORDER_PROFILE = "ORDER_IT_API_PROFILE";
+// New Order API profiles used until an admin picks them in options (ALMA_ORDER_PROFILES)
+const DEFAULT_ORDER_PROFILES = {
+    preferred: "ORDER_IT_API_PROFILE",
+    alternates: ["GOBI"],
+    rules: []
+};
 
 /**
  * pulls currently stored settings and updates config in memory
  */
 async function refreshConfig() {
     const prev = CONFIG.ALMA_API_KEY;
-    const obj = await chrome.storage.local.get(["ALMA_REGION"]);
+    const obj = await chrome.storage.local.get(["ALMA_INSTITUTION", "ALMA_REGION", "ALMA_DOMAIN", "ALMA_VENDOR_MAP", "ALMA_ORDER_PROFILES",
+        "ALMA_QUOTA_FLOOR", "ALMA_BIB_MODE", "ALMA_APPROVAL_THRESHOLD", "ALMA_FUND_BALANCE_MODE"
+    ]);
+    CONFIG.ALMA_INSTITUTION = obj.ALMA_INSTITUTION || DEFAULT_INSTITUTION_CODE;
     CONFIG.ALMA_REGION = obj.ALMA_REGION || CONFIG.ALMA_REGION;
+    CONFIG.ALMA_DOMAIN = obj.ALMA_DOMAIN || CONFIG.ALMA_DOMAIN;
+    CONFIG.ALMA_VENDOR_MAP = obj.ALMA_VENDOR_MAP || {};
+    CONFIG.ALMA_ORDER_PROFILES = obj.ALMA_ORDER_PROFILES || null;
+    CONFIG.ALMA_QUOTA_FLOOR = obj.ALMA_QUOTA_FLOOR ?? DEFAULT_QUOTA_FLOOR;
+    CONFIG.ALMA_BIB_MODE = obj.ALMA_BIB_MODE || "link";
+    CONFIG.ALMA_APPROVAL_THRESHOLD = obj.ALMA_APPROVAL_THRESHOLD ?? null;
+    CONFIG.ALMA_FUND_BALANCE_MODE = obj.ALMA_FUND_BALANCE_MODE || "warn";
     CONFIG.ALMA_API_KEY = prev;
-    console.log("[Alma] Config refreshed. Region:", CONFIG.ALMA_REGION, "Key set:", !!CONFIG.ALMA_API_KEY, "Inst:", INSTITUTION_CODE);
+    CONFIG_LOADED = true;
+    console.log("[Alma] Config refreshed. Region:", CONFIG.ALMA_REGION, "Key set:", !!CONFIG.ALMA_API_KEY, "Inst:", CONFIG.ALMA_INSTITUTION);
 }
 
 /**
@@ -52,10 +153,90 @@ chrome.runtime.onStartup.addListener(refreshConfig);
 chrome.storage.onChanged.addListener((changes, area) => {
     if (area === "local") {
         if (changes.ALMA_API_KEY) CONFIG.ALMA_API_KEY = changes.ALMA_API_KEY.newValue || null;
+        // A new or switched encrypted key is decrypted again on next use
+        if (changes.ALMA_API_KEY_C) CONFIG.ALMA_API_KEY = null;
+        if (changes.ALMA_INSTITUTION) CONFIG.ALMA_INSTITUTION = changes.ALMA_INSTITUTION.newValue || DEFAULT_INSTITUTION_CODE;
         if (changes.ALMA_REGION) CONFIG.ALMA_REGION = changes.ALMA_REGION.newValue || "NA";
+        if (changes.ALMA_DOMAIN) CONFIG.ALMA_DOMAIN = changes.ALMA_DOMAIN.newValue || "brandeis.alma.exlibrisgroup.com";
+        if (changes.ALMA_VENDOR_MAP) CONFIG.ALMA_VENDOR_MAP = changes.ALMA_VENDOR_MAP.newValue || {};
+        if (changes.ALMA_ORDER_PROFILES) CONFIG.ALMA_ORDER_PROFILES = changes.ALMA_ORDER_PROFILES.newValue || null;
+        if (changes.ALMA_QUOTA_FLOOR) CONFIG.ALMA_QUOTA_FLOOR = changes.ALMA_QUOTA_FLOOR.newValue ?? DEFAULT_QUOTA_FLOOR;
+        if (changes.ALMA_BIB_MODE) CONFIG.ALMA_BIB_MODE = changes.ALMA_BIB_MODE.newValue || "link";
+        if (changes.ALMA_APPROVAL_THRESHOLD) CONFIG.ALMA_APPROVAL_THRESHOLD = changes.ALMA_APPROVAL_THRESHOLD.newValue ?? null;
+        if (changes.ALMA_FUND_BALANCE_MODE) CONFIG.ALMA_FUND_BALANCE_MODE = changes.ALMA_FUND_BALANCE_MODE.newValue || "warn";
     }
 });
 
+/**
+ * Decodes base64url (as written by the options page) to bytes
+ * @param {*} s the base64url text
+ * @returns a Uint8Array
+ */
+function ub64(s) {
+    s = String(s || "").replace(/-/g, "+").replace(/_/g, "/");
+    while (s.length % 4) s += "=";
+    const bin = atob(s),
+        out = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+    return out;
+}
+
+/**
+ * Checks the admin password set on the options page: derives the key-encryption key from it (PBKDF2)
+ * and compares it with the stored one
+ * @param {*} password the password entered
+ * @returns { ok, key, error, unset }; key is the derived AES key, unset is true when no password was ever set
+ */
+async function checkAdminPassword(password) {
+    const {
+        ALMA_KEK_B64,
+        ALMA_PW_SALT,
+        ALMA_KDF_ITERS
+    } = await chrome.storage.local.get(["ALMA_KEK_B64", "ALMA_PW_SALT", "ALMA_KDF_ITERS"]);
+
+    if (!ALMA_KEK_B64 && !ALMA_PW_SALT && !ALMA_KDF_ITERS) {
+        return {
+            ok: false,
+            unset: true,
+            error: "No password set. Click Set Password first."
+        };
+    }
+    if (ALMA_KEK_B64 && (!ALMA_PW_SALT || !ALMA_KDF_ITERS)) {
+        return {
+            ok: false,
+            error: "Password setting incomplete. Click Set Password to repair."
+        };
+    }
+
+    const base = await crypto.subtle.importKey("raw", new TextEncoder().encode(password || ""), {
+        name: "PBKDF2"
+    }, false, ["deriveKey"]);
+    const key = await crypto.subtle.deriveKey({
+        name: "PBKDF2",
+        salt: ub64(ALMA_PW_SALT),
+        iterations: Number(ALMA_KDF_ITERS || 200000),
+        hash: "SHA-256"
+    }, base, {
+        name: "AES-GCM",
+        length: 256
+    }, true, ["encrypt", "decrypt"]);
+    const raw = new Uint8Array(await crypto.subtle.exportKey("raw", key));
+
+    // Verify password matches stored KEK
+    let b = "";
+    for (let i = 0; i < raw.length; i++) b += String.fromCharCode(raw[i]);
+    if (btoa(b).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "") !== ALMA_KEK_B64) {
+        return {
+            ok: false,
+            error: "Wrong password."
+        };
+    }
+    return {
+        ok: true,
+        key
+    };
+}
+
 /**
  * If the extension already has saved encrypted key material, try to decrypt
  * the Alma API key without asking the user for a password.
@@ -79,15 +260,6 @@ async function tryAutoUnlockFromKEK() {
             return false;
         }
 
-        const ub64 = (s) => {
-            s = String(s || "").replace(/-/g, "+").replace(/_/g, "/");
-            while (s.length % 4) s += "=";
-            const bin = atob(s),
-                out = new Uint8Array(bin.length);
-            for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
-            return out;
-        };
-
         const kekRaw = ub64(ALMA_KEK_B64);
         const iv = ub64(ALMA_API_KEY_IV);
         const ct = ub64(ALMA_API_KEY_C);
@@ -112,11 +284,117 @@ async function tryAutoUnlockFromKEK() {
 // Call once on startup so we have the key on startup, if it exists
 tryAutoUnlockFromKEK();
 
+/**
+ * Reads the environment list, creating a "Production" environment for the current settings on first use
+ * @returns { envs: { id: { name, sandbox, settings } }, active: id }
+ */
+async function getEnvironments() {
+    const {
+        ALMA_ENVIRONMENTS,
+        ALMA_ACTIVE_ENV
+    } = await chrome.storage.local.get(["ALMA_ENVIRONMENTS", "ALMA_ACTIVE_ENV"]);
+    const envs = ALMA_ENVIRONMENTS && typeof ALMA_ENVIRONMENTS === "object" ? ALMA_ENVIRONMENTS : {};
+    let active = ALMA_ACTIVE_ENV;
+    if (!active || !envs[active]) {
+        active = Object.keys(envs)[0] || "production";
+        if (!envs[active]) envs[active] = {
+            name: "Production",
+            sandbox: false
+        };
+        await chrome.storage.local.set({
+            ALMA_ENVIRONMENTS: envs,
+            ALMA_ACTIVE_ENV: active
+        });
+    }
+    return {
+        envs,
+        active
+    };
+}
+
+/**
+ * Makes another environment active: stores the current environment's settings (ENV_KEYS) in ALMA_ENVIRONMENTS,
+ * puts the chosen one's in their place, and forgets the decrypted key and cached Alma configuration.
+ * The outbox and approval queue go with the environment, so switching is refused while orders are still
+ * to be sent (they would only be sent after switching back) or being sent (one could land in the other environment).
+ * @param {*} id the environment id
+ * @returns the environment list after switching; throws a 409 error while orders are pending or being sent
+ */
+async function switchEnvironment(id) {
+    const {
+        envs,
+        active
+    } = await getEnvironments();
+    if (!envs[id]) {
+        const err = new Error(`Unknown environment: ${id}`);
+        err.status = 404;
+        throw err;
+    }
+    if (id === active) return {
+        envs,
+        active
+    };
+
+    const busy = (message) => {
+        const err = new Error(message);
+        err.status = 409;
+        return err;
+    };
+    if (OUTBOX_RUNNING || APPROVALS_BUSY.size) throw busy("Orders are being sent to Alma right now; switch when they're done.");
+    // Held for the swap, so the retry alarm can't start sending into half-switched settings
+    OUTBOX_RUNNING = true;
+    try {
+        await QUEUE_WRITES;
+        const pending = (await readOutbox()).filter(e => e.status === "pending").length;
+        const sending = (await readApprovals()).filter(e => e.status === "sending").length;
+        if (pending || sending) {
+            throw busy(pending ? `${pending} order(s) in the outbox haven't reached Alma yet. Send or remove them (options page) before switching.` :
+                "An approved order is still being sent to Alma; switch when it's done.");
+        }
+
+        const current = await chrome.storage.local.get(ENV_KEYS);
+        envs[active].settings = current;
+        const next = envs[id].settings || {};
+        delete envs[id].settings;
+
+        await chrome.storage.local.remove(ENV_KEYS.filter(k => !(k in next)));
+        await chrome.storage.local.set(Object.assign({}, next, {
+            ALMA_ENVIRONMENTS: envs,
+            ALMA_ACTIVE_ENV: id
+        }));
+    } finally {
+        OUTBOX_RUNNING = false;
+    }
+
+    CONFIG.ALMA_API_KEY = null;
+    await invalidateCache();
+    await refreshConfig();
+    console.log("[Alma] Switched environment:", envs[id].name, envs[id].sandbox ? "(sandbox)" : "");
+    return {
+        envs,
+        active: id
+    };
+}
+
+/**
+ * Lists environments for the popup switcher and options page
+ * @param {*} state the result of getEnvironments()
+ * @returns [{ id, name, sandbox, active }]
+ */
+function shapeEnvironments(state) {
+    return Object.entries(state.envs).map(([id, e]) => ({
+        id,
+        name: e.name || id,
+        sandbox: !!e.sandbox,
+        active: id === state.active
+    }));
+}
+
 /**
  * Ensure we have CONFIG filled
  */
 async function ensureConfigLoaded() {
-    if (!CONFIG.ALMA_API_KEY || !CONFIG.ALMA_REGION) {
+    if (!CONFIG_LOADED || !CONFIG.ALMA_API_KEY || !CONFIG.ALMA_REGION) {
         await refreshConfig();
     }
 }
@@ -126,9 +404,7 @@ async function ensureConfigLoaded() {
  * @returns correct Alma API host name
  */
 function almaBaseUrl() {
-    const host = CONFIG.ALMA_REGION === "NA" ?
-        "https://api-na.hosted.exlibrisgroup.com" :
-        "https://api-eu.hosted.exlibrisgroup.com";
+    const host = ALMA_API_HOSTS[CONFIG.ALMA_REGION] || ALMA_API_HOSTS.NA;
     return `${host}/almaws/v1`;
 }
 
@@ -163,54 +439,271 @@ function buildUrl(path, params = {}) {
 }
 
 /**
- * Ensures we have usable and unlocked API key, then builds url with the given path and params, attaches application/json
- * also keeps track of # queries remaining for API key for the day
+ * Waits for the given time
+ * @param {*} ms milliseconds
+ * @returns a promise resolving after the wait
+ */
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * How long to wait before retrying: Alma's Retry-After header when it sent one,
+ * otherwise exponential backoff with jitter (between half and all of base × 2^attempt, capped)
+ * @param {*} res the failed response (null after a network error)
+ * @param {*} attempt how many retries have been made already
+ * @returns the delay in milliseconds
+ */
+function retryDelayMs(res, attempt) {
+    const ra = res?.headers?.get("Retry-After");
+    if (ra) {
+        const secs = Number(ra);
+        if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+        const at = Date.parse(ra);
+        if (!Number.isNaN(at)) return Math.max(0, at - Date.now());
+    }
+    const exp = Math.min(ALMA_BACKOFF_MAX_MS, ALMA_BACKOFF_BASE_MS * 2 ** attempt);
+    return exp / 2 + Math.random() * exp / 2;
+}
+
+/**
+ * Refuses a non-essential call when today's remaining API quota (last X-Exl-Api-Remaining) is below the floor
+ * set in options (ALMA_QUOTA_FLOOR), so searches can't use up the calls needed to place orders
+ * @param {*} path REST path, for the error message
+ */
+async function checkQuotaFloor(path) {
+    const floor = Number(CONFIG.ALMA_QUOTA_FLOOR);
+    if (!(floor > 0)) return;
+    const {
+        ALMA_REMAINING,
+        ALMA_REMAINING_AT
+    } = await chrome.storage.local.get(["ALMA_REMAINING", "ALMA_REMAINING_AT"]);
+    // The count resets daily, so yesterday's figure says nothing about today
+    if (ALMA_REMAINING == null || !ALMA_REMAINING_AT ||
+        new Date(ALMA_REMAINING_AT).toDateString() !== new Date().toDateString()) return;
+    if (Number(ALMA_REMAINING) >= floor) return;
+
+    const err = new Error(`Only ${ALMA_REMAINING} Alma API calls left today (floor ${floor}); skipped ${path.split("?")[0]}.`);
+    err.status = 429;
+    err.code = "QUOTA_FLOOR";
+    err.body = err.message;
+    throw err;
+}
+
+// Plain-language explanations for Alma error codes the popup runs into; field says which form field to mark
+const ALMA_ERROR_HINTS = {
+    "40188610": {
+        text: "More than one New Order API integration profile matches this order. Choose the profile to use in options (New Order API profiles)."
+    },
+    "401872": {
+        text: "Alma rejected a value on the PO line."
+    },
+    "401652": {
+        text: "Alma hit an internal error. Try again in a few minutes."
+    },
+    UNAUTHORIZED: {
+        text: "The API key isn't allowed to do this. Check its permissions in the Developer Network."
+    },
+    INVALID_REQUEST: {
+        text: "Alma didn't accept the request. Check the values on the form."
+    },
+    PER_SECOND_THRESHOLD: {
+        text: "Too many requests to Alma at once. Try again in a moment."
+    },
+    DAILY_THRESHOLD: {
+        text: "The institution's daily Alma API limit is used up. It resets at midnight (Alma server time)."
+    },
+    GENERAL_ERROR: {
+        text: "Alma is unavailable (possibly maintenance). Try again later."
+    },
+    ROUTING_ERROR: {
+        text: "Alma couldn't route the request. Check the region and institution in options."
+    },
+    UNKNOWN_CODE: {
+        text: "That code isn't defined in Alma. Refresh Alma data in options or pick another value."
+    }
+};
+
+// Which form field an Alma error message is about, by what it mentions (first match wins)
+const ALMA_ERROR_FIELDS = [
+    [/reporting code/i, "reporting_code"],
+    [/license/i, "license"],
+    [/access model/i, "access_model"],
+    [/subscription|renewal/i, "subscription"],
+    [/fund|ledger|encumb/i, "fund"],
+    [/vendor account/i, "vendor_account"],
+    [/vendor/i, "vendor"],
+    [/location/i, "location"],
+    [/owner|library/i, "owner"],
+    [/material type/i, "material_type"],
+    [/po line type|line type/i, "po_line_type"],
+    [/price|amount|currency/i, "price"],
+    [/interested user|\buser\b/i, "interested_users"]
+];
+
+/**
+ * Pulls the code/message pairs out of an Alma error body, which is JSON
+ * ({ errorList: { error: [...] } }) or XML (<errorList><error>...) depending on the endpoint
+ * @param {*} text the response body
+ * @returns list of { code, message }, empty if the body isn't an Alma error
+ */
+function parseAlmaErrors(text) {
+    const raw = String(text || "").trim();
+    if (!raw) return [];
+    if (raw.startsWith("{")) {
+        try {
+            const json = JSON.parse(raw);
+            const list = json?.errorList?.error ?? json?.web_service_result?.errorList?.error ?? [];
+            return (Array.isArray(list) ? list : [list])
+                .map(e => ({
+                    code: String(e?.errorCode ?? ""),
+                    message: String(e?.errorMessage ?? "").trim()
+                }))
+                .filter(e => e.code || e.message);
+        } catch {
+            return [];
+        }
+    }
+    // No DOMParser in the service worker, so read the XML by hand
+    const tag = (xml, name) => (xml.match(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`)) || [])[1] || "";
+    const decode = (v) => v.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+        .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, "&");
+    return (raw.match(/<error>[\s\S]*?<\/error>/g) || [])
+        .map(xml => ({
+            code: decode(tag(xml, "errorCode")).trim(),
+            message: decode(tag(xml, "errorMessage")).trim()
+        }))
+        .filter(e => e.code || e.message);
+}
+
+/**
+ * Turns a failed Alma call into something the popup can show: each error with its plain-language hint
+ * and the form field it concerns, plus one readable summary
+ * @param {*} e the error thrown by almaRequest() (or submitPoLine())
+ * @returns { error, errors: [{ code, message, hint, field }] }
+ */
+function describeAlmaError(e) {
+    const parsed = e?.errors || parseAlmaErrors(e?.body);
+    const errors = parsed.map((x) => {
+        const known = ALMA_ERROR_HINTS[x.code] || {};
+        const field = x.field || known.field || ALMA_ERROR_FIELDS.find(([re]) => re.test(x.message))?.[1] || "";
+        return {
+            code: x.code,
+            message: x.message,
+            hint: known.text || "",
+            field
+        };
+    });
+    const error = errors.length ?
+        errors.map(x => [x.hint, x.message, x.code && `(${x.code})`].filter(Boolean).join(" ")).join("\n") :
+        String(e?.body || e?.message || "Unknown error");
+    return {
+        error,
+        errors
+    };
+}
+
+/**
+ * Shared request layer for the Alma API. Ensures we have usable and unlocked API key, builds the url with the
+ * given path and params, sends JSON when there's a body, and keeps track of # queries remaining for the day.
+ * Transient failures are retried with backoff (honouring Retry-After): reads after 429, 5xx or a network error;
+ * writes only after 429, which Alma sends before doing anything, so a PO line is never created twice.
+ * Non-essential calls (searches, status refreshes) are refused when the quota is below the floor.
+ * @param {*} method the HTTP method
  * @param {*} path REST path
- * @param {*} params query params
- * @returns the json body from Alma
+ * @param {*} opts { body, params, essential (default true) }
+ * @returns Alma's parsed response (or its text if not JSON)
  */
-async function almaGet(path, params = {}) {
+async function almaRequest(method, path, {
+    body,
+    params = {},
+    essential = true
+} = {}) {
+    // Not a connection problem (status 0 would send orders to the outbox): someone has to unlock or set the key
     const key = await getUsableKey();
-    if (!key) {
-        const e = new Error("Alma key not available (locked/missing).");
-        e.status = 0;
-        e.body = "No plaintext key in memory";
+    if (!key || !CONFIG.ALMA_API_KEY) {
+        const e = new Error("The Alma API key is locked or not set. Unlock it (or enter it) on the options page.");
+        e.status = 401;
+        e.code = "NO_API_KEY";
         throw e;
     }
-    if (!CONFIG.ALMA_API_KEY) {
-        const err = new Error("Missing API key");
-        err.status = 0;
-        throw err;
-    }
+    if (!essential) await checkQuotaFloor(path);
 
     const url = buildUrl(path, params);
-    const res = await fetch(url, {
-        method: "GET",
-        headers: {
-            Accept: "application/json"
+    if (method !== "GET") console.log(`[Alma] ${method} →`, url);
+    const headers = {
+        Accept: "application/json"
+    };
+    if (body !== undefined) headers["Content-Type"] = "application/json";
+    const retryable = (status) => status === 429 || (method === "GET" && status >= 500);
+
+    for (let attempt = 0;; attempt++) {
+        let res;
+        try {
+            res = await fetch(url, {
+                method,
+                headers,
+                body: body === undefined ? undefined : JSON.stringify(body)
+            });
+        } catch (netErr) {
+            if (method === "GET" && attempt < ALMA_MAX_RETRIES) {
+                console.warn(`[Alma] ${method} ${path} network error, retry ${attempt + 1}:`, netErr?.message);
+                await sleep(retryDelayMs(null, attempt));
+                continue;
+            }
+            const err = new Error(`Alma ${method} ${path} failed: ${netErr?.message || "network error"}`);
+            err.status = 0;
+            err.code = "NETWORK";
+            err.body = String(netErr?.message || netErr);
+            throw err;
         }
-    });
 
-    const remaining = Number(res.headers.get("X-Exl-Api-Remaining"));
-    if (!Number.isNaN(remaining)) {
-        chrome.storage.local.set({
-            ALMA_REMAINING: remaining,
-            ALMA_REMAINING_AT: Date.now()
-        });
-    }
+        const header = res.headers.get("X-Exl-Api-Remaining");
+        const remaining = Number(header);
+        if (header != null && !Number.isNaN(remaining)) {
+            chrome.storage.local.set({
+                ALMA_REMAINING: remaining,
+                ALMA_REMAINING_AT: Date.now()
+            });
+        }
 
-    const text = await res.text().catch(() => "");
-    if (!res.ok) {
-        const err = new Error(`Alma GET ${path} failed: ${res.status}`);
+        const text = await res.text().catch(() => "");
+        if (res.ok) {
+            try {
+                return JSON.parse(text);
+            } catch {
+                return text;
+            }
+        }
+
+        // The daily limit won't lift by waiting a few seconds
+        const delay = retryDelayMs(res, attempt);
+        if (retryable(res.status) && attempt < ALMA_MAX_RETRIES && delay <= ALMA_RETRY_AFTER_MAX_MS &&
+            !/DAILY_THRESHOLD/i.test(text)) {
+            console.warn(`[Alma] ${method} ${path} → ${res.status}, retry ${attempt + 1} in ${Math.round(delay)} ms`);
+            await sleep(delay);
+            continue;
+        }
+
+        const err = new Error(`Alma ${method} ${path} failed: ${res.status}`);
         err.status = res.status;
         err.body = text;
+        err.errors = parseAlmaErrors(text);
         throw err;
     }
-    try {
-        return JSON.parse(text);
-    } catch {
-        return text;
-    }
+}
+
+/**
+ * GET from Alma through almaRequest()
+ * @param {*} path REST path
+ * @param {*} params query params
+ * @param {*} opts { essential: false } for calls that may be skipped when the quota is low
+ * @returns the json body from Alma
+ */
+async function almaGet(path, params = {}, opts = {}) {
+    return almaRequest("GET", path, Object.assign({
+        params
+    }, opts));
 }
 
 /**
@@ -221,50 +714,36 @@ async function almaGet(path, params = {}) {
  * @returns Alma's response to our PO line submission, i.e. success or error
  */
 async function almaPost(path, body, params = {}) {
-    const key = await getUsableKey();
-    if (!key) {
-        const e = new Error("Alma key not available (locked/missing).");
-        e.status = 0;
-        e.body = "No plaintext key in memory";
-        throw e;
-    }
-    if (!CONFIG.ALMA_API_KEY) {
-        const err = new Error("Missing API key");
-        err.status = 0;
-        throw err;
-    }
-
-    const url = buildUrl(path, params);
-    console.log("[Alma] POST →", url);
-    const res = await fetch(url, {
-        method: "POST",
-        headers: {
-            "Content-Type": "application/json",
-            Accept: "application/json"
-        },
-        body: JSON.stringify(body)
+    return almaRequest("POST", path, {
+        body,
+        params
     });
+}
 
-    const remaining = Number(res.headers.get("X-Exl-Api-Remaining"));
-    if (!Number.isNaN(remaining)) {
-        chrome.storage.local.set({
-            ALMA_REMAINING: remaining,
-            ALMA_REMAINING_AT: Date.now()
-        });
-    }
+/**
+ * Used to update PO lines; sends the full object back as JSON
+ * @param {*} path REST path
+ * @param {*} body the updated object
+ * @param {*} params query params
+ * @returns the object as Alma saved it
+ */
+async function almaPut(path, body, params = {}) {
+    return almaRequest("PUT", path, {
+        body,
+        params
+    });
+}
 
-    const text = await res.text().catch(() => "");
-    if (!res.ok) {
-        const err = new Error(`Alma POST ${path} failed: ${res.status}`);
-        err.status = res.status;
-        err.body = text;
-        throw err;
-    }
-    try {
-        return JSON.parse(text);
-    } catch {
-        return text;
-    }
+/**
+ * Used to cancel PO lines
+ * @param {*} path REST path
+ * @param {*} params query params (e.g. the cancellation reason)
+ * @returns Alma's response, usually empty
+ */
+async function almaDelete(path, params = {}) {
+    return almaRequest("DELETE", path, {
+        params
+    });
 }
 
 /**
@@ -301,87 +780,1366 @@ async function almaGetAll(path, arrayPaths = [
 }
 
 /**
- * Takes the form data from popup.js (including scraped vendor data),
- * and produces the JSON object Alma expects when creating a PO line.
- * @param {*} f is the form data from popup.js
- * @returns the JSON object Alma expects when creating a PO line.
+ * Decodes the XML entities Alma uses in MARCXML text
+ * @param {*} s the raw text
+ * @returns the decoded text
  */
-function mapToAlmaPOL(f = {}) {
-    const asArray = (x) => (x == null ? [] : Array.isArray(x) ? x : [x]);
+function xmlText(s) {
+    return String(s || "")
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, "\"")
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, "&")
+        .trim();
+}
 
-    // Codes
-    const ownerCode = (f.owner && f.owner.value) || "MAIN";
-    const poType = (f.po_line_type || "PRINT_OT").trim();
-    const matType = (f.material_type || "BOOK").trim();
+/**
+ * Reads a control field (e.g. 001) from a MARCXML record string.
+ * The service worker has no DOMParser, so MARCXML is read with regular expressions.
+ * @param {*} xml the MARCXML record
+ * @param {*} tag the control field tag
+ * @returns the field value or ""
+ */
+function marcControlField(xml, tag) {
+    const m = String(xml || "").match(new RegExp(`<(?:\\w+:)?controlfield[^>]*tag="${tag}"[^>]*>([\\s\\S]*?)</(?:\\w+:)?controlfield>`));
+    return m ? xmlText(m[1]) : "";
+}
 
-    const body = {
-        owner: {
-            value: ownerCode
-        },
-        type: {
-            value: poType
-        },
-        material_type: {
-            value: matType
-        },
-        resource_metadata: {
-            title: (f.title || "").trim()
-        },
-        price: {
-            sum: String((Number(f.price) || 0).toFixed(2)),
-            currency: {
-                value: f.currency || "USD"
-            }
+/**
+ * Reads every occurrence of a data field from a MARCXML record string
+ * @param {*} xml the MARCXML record
+ * @param {*} tag the data field tag (e.g. "245", "AVA")
+ * @returns a list of { code: value } objects, one per field occurrence (first value wins per code)
+ */
+function marcDataFields(xml, tag) {
+    const out = [];
+    const fieldRe = new RegExp(`<(?:\\w+:)?datafield[^>]*tag="${tag}"[^>]*>([\\s\\S]*?)</(?:\\w+:)?datafield>`, "g");
+    const subRe = /<(?:\w+:)?subfield[^>]*code="([^"]+)"[^>]*>([\s\S]*?)<\/(?:\w+:)?subfield>/g;
+    let fm;
+    while ((fm = fieldRe.exec(String(xml || "")))) {
+        const field = {};
+        let sm;
+        subRe.lastIndex = 0;
+        while ((sm = subRe.exec(fm[1]))) {
+            if (!(sm[1] in field)) field[sm[1]] = xmlText(sm[2]);
         }
-    };
-
-    // Copies requested
-    const copies = Math.max(1, Number(f.quantity) || 1);
-    body.quantity = copies;
+        out.push(field);
+    }
+    return out;
+}
 
-    // ISBN code
-    if (f.isbn) {
-      const clean = String(f.isbn).replace(/[^0-9Xx]/g, "");
-      if (clean) {
-        body.resource_metadata.isbn = clean;
-      }
+/**
+ * Returns the ISBN as given plus its ISBN-10/ISBN-13 counterpart, so either form matches the catalog
+ * @param {*} raw the scraped ISBN
+ * @returns list of cleaned ISBNs
+ */
+function isbnVariants(raw) {
+    const s = String(raw || "").replace(/[^0-9Xx]/g, "").toUpperCase();
+    if (s.length !== 10 && s.length !== 13) return s ? [s] : [];
+    const out = [s];
+    if (s.length === 10) {
+        const core = "978" + s.slice(0, 9);
+        let sum = 0;
+        for (let i = 0; i < 12; i++) sum += Number(core[i]) * (i % 2 ? 3 : 1);
+        out.push(core + ((10 - (sum % 10)) % 10));
+    } else if (s.startsWith("978")) {
+        const core = s.slice(3, 12);
+        let sum = 0;
+        for (let i = 0; i < 9; i++) sum += Number(core[i]) * (10 - i);
+        const check = (11 - (sum % 11)) % 11;
+        out.push(core + (check === 10 ? "X" : String(check)));
     }
+    return out;
+}
 
+/**
+ * Reduces a vendor title to the words worth searching on: drops subtitles, series/format
+ * parentheticals, punctuation, and a leading article
+ * @param {*} title the scraped title
+ * @returns the normalized title
+ */
+function normalizeTitle(title) {
+    return String(title || "")
+        .replace(/\([^)]*\)|\[[^\]]*\]/g, " ")
+        .split(/\s[:\-–—]\s|:\s/)[0]
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, " ")
+        .replace(/^\s*(the|a|an)\s+/, "")
+        .replace(/\s+/g, " ")
+        .trim();
+}
 
-    // Physical one-time lines
-    const isPhysicalOT = poType === "PRINT_OT" || poType === "PHYSICAL_OT";
-    if (isPhysicalOT) {
-        body.location = [{
-            library: {
-                value: ownerCode // "MAIN"
-            },
-            location: {
-                value: f.location_code || "MSTCK"
-            },
-            quantity: copies,
-            quantity_for_pricing: copies
-        }];
+/**
+ * Runs an SRU search against the institution's Alma catalog (does not use API quota)
+ * @param {*} query CQL query, e.g. alma.isbn=9780000000000
+ * @param {*} max maximum records to return
+ * @returns list of MARCXML record strings
+ */
+async function sruSearch(query, max = 10) {
+    const domain = String(CONFIG.ALMA_DOMAIN || "").replace(/^https?:\/\//, "").replace(/\/+$/, "");
+    const url = new URL(`https://${domain}/view/sru/${CONFIG.ALMA_INSTITUTION}`);
+    url.search = new URLSearchParams({
+        version: "1.2",
+        operation: "searchRetrieve",
+        recordSchema: "marcxml",
+        maximumRecords: String(max),
+        query
+    }).toString();
+
+    const res = await fetch(url.toString(), {
+        headers: {
+            Accept: "application/xml"
+        }
+    });
+    const text = await res.text().catch(() => "");
+    if (!res.ok) {
+        const err = new Error(`Alma SRU search failed: ${res.status}`);
+        err.status = res.status;
+        err.body = text;
+        throw err;
     }
+    const records = [];
+    const re = /<(?:\w+:)?recordData>([\s\S]*?)<\/(?:\w+:)?recordData>/g;
+    let m;
+    while ((m = re.exec(text))) records.push(m[1]);
+    return records;
+}
 
-    const finalType = (body.type?.value || "").toUpperCase();
-    const isPhysical = /^(PRINT_|PHYSICAL_|PRINT_JNL_)/.test(finalType);
-    if (!isPhysical) delete body.location;
+/**
+ * Turns the AVA (physical) and AVE (electronic) availability fields of a record into plain objects
+ * @param {*} xml the MARCXML record
+ * @returns holdings and electronic availability lists
+ */
+function availabilityFromMarc(xml) {
+    const holdings = marcDataFields(xml, "AVA").map(a => ({
+        library_code: a.b || "",
+        library: a.q || a.b || "",
+        location: a.c || a.j || "",
+        availability: a.e || "",
+        total_items: a.f != null ? Number(a.f) : null,
+        unavailable_items: a.g != null ? Number(a.g) : null
+    }));
+    const electronic = marcDataFields(xml, "AVE").map(a => ({
+        collection: a.m || a.l || "",
+        availability: a.e || ""
+    }));
+    return {
+        holdings,
+        electronic
+    };
+}
 
-    // Reporting code
-    const rcList = asArray(f.reporting_code)
-        .map((s) => String(s || "").trim())
-        .filter(Boolean);
-    if (rcList.length) body.reporting_code = rcList[0];
+/**
+ * Looks for titles we already own: searches the catalog by ISBN, or by normalized title (and author)
+ * when there is no ISBN, then attaches holdings availability for each match.
+ * @param {*} f form data with isbn, title and optionally author
+ * @returns the query used and the list of matching bibs
+ */
+async function findExistingBibs(f = {}) {
+    const isbns = isbnVariants(f.isbn);
+    let query = "";
+    let how = "";
+    if (isbns.length) {
+        query = isbns.map(i => `alma.isbn=${i}`).join(" or ");
+        how = "isbn";
+    } else {
+        const title = normalizeTitle(f.title);
+        if (!title) return {
+            how: "none",
+            query: "",
+            matches: []
+        };
+        query = `alma.title all "${title}"`;
+        const author = normalizeTitle(f.author);
+        if (author) query += ` and alma.creator all "${author}"`;
+        how = "title";
+    }
 
-    // Receiving note
-    if (f.receiving_note && f.receiving_note.trim()) {
-        body.receiving_note = f.receiving_note.trim();
+    const records = await sruSearch(query);
+    const matches = records.map(xml => {
+        const t = marcDataFields(xml, "245")[0] || {};
+        const a = marcDataFields(xml, "100")[0] || marcDataFields(xml, "110")[0] || {};
+        return Object.assign({
+            mms_id: marcControlField(xml, "001"),
+            title: [t.a, t.b].filter(Boolean).join(" ").replace(/\s*[/:;,.]\s*$/, ""),
+            author: (a.a || "").replace(/[,.]\s*$/, "")
+        }, availabilityFromMarc(xml));
+    }).filter(m => m.mms_id);
+
+    // SRU only carries availability when the institution's SRU profile adds it; otherwise ask the Bibs API
+    const missing = matches.filter(m => !m.holdings.length && !m.electronic.length);
+    if (missing.length) {
+        try {
+            const data = await almaGet("bibs", {
+                mms_id: missing.map(m => m.mms_id).join(","),
+                expand: "p_avail,e_avail"
+            }, {
+                essential: false
+            });
+            const bibs = Array.isArray(data?.bib) ? data.bib : data?.bib ? [data.bib] : [];
+            for (const b of bibs) {
+                const hit = missing.find(m => m.mms_id === String(b?.mms_id));
+                const xml = Array.isArray(b?.anies) ? b.anies.join("") : String(b?.anies || "");
+                if (hit) Object.assign(hit, availabilityFromMarc(xml));
+            }
+        } catch (e) {
+            console.warn("[Alma] Availability lookup failed:", e.status, e.message);
+        }
+    }
+
+    return {
+        how,
+        query,
+        matches
+    };
+}
+
+/**
+ * Flattens an Alma purchase request into what the popup's request list and form need
+ * @param {*} r the purchase request from acq/purchase-requests
+ * @returns { id, title, author, isbn, publisher, year, edition, format, material_type, requester, requester_name,
+ * library, fund, reporting_code, estimated_cost, currency, mms_id, note, created }
+ */
+function shapePurchaseRequest(r = {}) {
+    const md = r.resource_metadata || {};
+    const code = (v) => (typeof v === "object" && v !== null ? v.value : v) || "";
+    return {
+        id: String(r.request_id || r.id || ""),
+        title: md.title || "",
+        author: md.author || "",
+        isbn: code(md.isbn),
+        publisher: md.publisher || "",
+        year: String(md.publication_year || md.publication_date || ""),
+        edition: md.edition || "",
+        // "P" print, "E" electronic
+        format: code(r.format),
+        material_type: code(r.material_type),
+        requester: code(r.requester),
+        requester_name: r.requester?.desc || "",
+        library: code(r.owning_library),
+        fund: code(r.fund),
+        reporting_code: code(r.reporting_code),
+        estimated_cost: r.estimated_cost?.sum != null ? Number(r.estimated_cost.sum) : null,
+        currency: code(r.estimated_cost?.currency),
+        mms_id: code(r.mms_id),
+        note: r.note || "",
+        created: String(r.created_date || r.creation_date || "").slice(0, 10)
+    };
+}
+
+/**
+ * Lists the institution's pending purchase requests
+ * @returns the requests, shaped by shapePurchaseRequest()
+ */
+async function listPurchaseRequests() {
+    const data = await almaGet("acq/purchase-requests", {
+        status: "PENDING",
+        limit: PURCHASE_REQUEST_LIMIT
+    }, {
+        essential: false
+    });
+    const list = Array.isArray(data?.purchase_request) ? data.purchase_request : data?.purchase_request ? [data.purchase_request] : [];
+    return list.map(shapePurchaseRequest).filter(r => r.id);
+}
+
+/**
+ * Orders a purchase request. In Alma a purchase request becomes a PO line by being approved: op=approve on
+ * POST /almaws/v1/acq/purchase-requests/{purchase_request_id} (Ex Libris Developer Network, Acquisitions API)
+ * approves the request and Alma creates the PO line for it (Alma online help, "Managing Purchase Requests").
+ * So the line isn't posted to acq/po-lines (that would order the title twice); the request is approved and the
+ * form's choices (vendor, funds, price, locations...) are then put on the line Alma created.
+ * @param {*} f the form data; f.purchase_request_id is the request
+ * @param {*} polBody the PO line body mapToAlmaPOL() built from the form
+ * @returns { po_line_number, raw, purchase_request: { id, approved, error } }
+ */
+async function orderPurchaseRequest(f, polBody) {
+    const id = f.purchase_request_id;
+    const started = Date.now();
+    const approved = await almaPost(`acq/purchase-requests/${encodeURIComponent(id)}`, {}, {
+        op: "approve"
+    });
+    console.log("[Alma] Purchase request approved:", id);
+
+    const code = (v) => (typeof v === "object" && v !== null ? v.value || v.number : v) || "";
+    let poLineNumber = String(code(approved?.po_line) || approved?.po_line_number || "");
+    if (!poLineNumber) {
+        // Not every Alma version returns the new line with the request
+        poLineNumber = await findRequestLine(id, f.mms_id, started).catch(() => "");
+    }
+
+    const purchase_request = {
+        id,
+        approved: true
+    };
+    if (!poLineNumber) {
+        purchase_request.error = "Alma approved the request but didn't say which PO line it created; find the line in Alma and check its details.";
+    } else {
+        const error = await applyFormToRequestLine(poLineNumber, polBody);
+        if (error) purchase_request.error = `Alma created ${poLineNumber} from the request, but with the request's details (${error}); check the line in Alma.`;
+    }
+    return {
+        po_line_number: poLineNumber || null,
+        raw: approved,
+        purchase_request
+    };
+}
+
+/**
+ * Identifies the PO line Alma created by approving a purchase request: the request's own po_line, read again,
+ * or else the one open line on the request's bibliographic record created since the approval. A line for
+ * the same title elsewhere doesn't count; it may be another order.
+ * @param {*} id the purchase request id
+ * @param {*} mmsId the request's MMS ID, if known
+ * @param {*} since when the approval was sent (timestamp)
+ * @returns the line number, or "" when it can't be told
+ */
+async function findRequestLine(id, mmsId, since) {
+    const code = (v) => (typeof v === "object" && v !== null ? v.value || v.number : v) || "";
+    const request = await almaGet(`acq/purchase-requests/${encodeURIComponent(id)}`, {}, {
+        essential: true
+    });
+    const number = String(code(request?.po_line) || request?.po_line_number || "");
+    if (number) return number;
+
+    const mms = mmsId || code(request?.mms_id);
+    if (!mms) return "";
+    const data = await almaGet("acq/po-lines", {
+        q: `mms_id~${mms}`,
+        status: "ACTIVE",
+        limit: "20"
+    }, {
+        essential: true
+    });
+    const lines = (Array.isArray(data?.po_line) ? data.po_line : data?.po_line ? [data.po_line] : [])
+        .filter(l => l?.number && isOpenPoLine(l) && createdSince(l.created_date, since));
+    return lines.length === 1 ? String(lines[0].number) : "";
+}
+
+/**
+ * Puts the order form's choices on the PO line Alma created from a purchase request. The line keeps its number,
+ * status and bibliographic record. A failure is returned rather than thrown, since the line exists either way.
+ * @param {*} poLineNumber the line Alma created
+ * @param {*} polBody the PO line body mapToAlmaPOL() built from the form
+ * @returns the error text, or "" when the line was updated
+ */
+async function applyFormToRequestLine(poLineNumber, polBody) {
+    const path = `acq/po-lines/${encodeURIComponent(poLineNumber)}`;
+    try {
+        const pol = await almaGet(path);
+        await almaPut(path, Object.assign({}, pol, polBody, {
+            number: pol.number,
+            status: pol.status,
+            resource_metadata: pol.resource_metadata || polBody.resource_metadata
+        }));
+        return "";
+    } catch (e) {
+        console.warn("[Alma] Request line not updated:", poLineNumber, e.status, e.message);
+        return describeAlmaError(e).error;
+    }
+}
+
+/**
+ * Creates the invoice for an order already paid by credit card at checkout: an invoice from the vendor
+ * (number = the vendor's order number, shipping as an additional charge, tax as exclusive VAT, marked prepaid),
+ * one line for the new PO line on the same funds, then processes it. The order already exists, so a failure
+ * here is reported rather than thrown.
+ * @param {*} f the form data; f.prepaid holds { order_number, invoice_date, card_reference, shipping, tax }
+ * @param {*} poLineNumber the PO line just created
+ * @param {*} polBody the PO line body it was created from
+ * @returns { id, number, total, processed, error }
+ */
+async function createPrepaidInvoice(f, poLineNumber, polBody) {
+    const p = f.prepaid || {};
+    const currency = polBody?.price?.currency?.value || f.currency || "USD";
+    const lineTotal = +((Number(f.price) || 0) * Math.max(1, Number(f.quantity) || 1)).toFixed(2);
+    const shipping = Number(p.shipping) || 0;
+    const tax = Number(p.tax) || 0;
+    const total = +(lineTotal + shipping + tax).toFixed(2);
+    const out = {
+        id: "",
+        number: String(p.order_number || "").trim(),
+        total,
+        processed: false
+    };
+
+    try {
+        if (!polBody?.vendor?.value) throw new Error("The PO line has no vendor to invoice.");
+        const invoice = await almaPost("acq/invoices", {
+            number: out.number,
+            invoice_date: `${p.invoice_date || new Date().toISOString().slice(0, 10)}Z`,
+            vendor: {
+                value: polBody.vendor.value
+            },
+            vendor_account: polBody.vendor_account,
+            total_amount: total,
+            currency: {
+                value: currency
+            },
+            payment_method: {
+                value: "CREDITCARD"
+            },
+            reference_number: p.card_reference || undefined,
+            additional_charges: {
+                shipment: shipping,
+                use_pro_rata: true
+            },
+            invoice_vat: tax ? {
+                vat_amount: tax,
+                type: {
+                    value: "EXCLUSIVE"
+                }
+            } : undefined,
+            payment: {
+                prepaid: true
+            }
+        });
+        out.id = String(invoice?.id || "");
+        if (!out.id) throw new Error("Alma created the invoice but returned no id.");
+
+        await almaPost(`acq/invoices/${encodeURIComponent(out.id)}/lines`, {
+            type: {
+                value: "REGULAR"
+            },
+            po_line: poLineNumber,
+            quantity: Math.max(1, Number(f.quantity) || 1),
+            price: lineTotal,
+            total_price: lineTotal,
+            // Invoice lines take a plain amount per fund rather than the PO line's { sum, currency }
+            fund_distribution: (polBody.fund_distribution || []).map(d => ({
+                fund_code: d.fund_code,
+                amount: Number(d.amount?.sum) || 0
+            }))
+        });
+
+        await almaPost(`acq/invoices/${encodeURIComponent(out.id)}`, {}, {
+            op: "process_invoice"
+        });
+        out.processed = true;
+        console.log("[Alma] Prepaid invoice", out.number, out.id, "for", poLineNumber);
+    } catch (e) {
+        console.warn("[Alma] Prepaid invoice incomplete:", out.number, e.status, e.message);
+        out.error = describeAlmaError(e).error;
+    }
+    return out;
+}
+
+/**
+ * Receives the copies of a physical PO line that is already in hand (bought at a conference, on the desk),
+ * using the items Alma created with the line. Barcodes entered in the popup are written to the received
+ * items in order; copies without one keep what Alma gave them. The line already exists, so a failure here
+ * is reported rather than thrown.
+ * @param {*} f the form data; f.receive holds { barcodes: [] }
+ * @param {*} poLineNumber the PO line just created
+ * @returns { items: [{ pid, barcode, mms_id, holding_id, error }], error }
+ */
+async function receiveOrderedItems(f, poLineNumber) {
+    const barcodes = (f.receive?.barcodes || []).map(b => String(b || "").trim());
+    const out = {
+        items: []
+    };
+    const path = `acq/po-lines/${encodeURIComponent(poLineNumber)}`;
+
+    try {
+        const pol = await almaGet(path);
+        const all = (Array.isArray(pol?.location) ? pol.location : [])
+            .flatMap(l => Array.isArray(l?.copy) ? l.copy : [])
+            .filter(c => c?.pid);
+        if (!all.length) throw new Error("Alma didn't create items for the line; receive it in Alma.");
+        // Copies already received were handled by someone, so they (and their barcodes) are left alone
+        const copies = all.filter(c => !c.receive_date);
+        if (!copies.length) throw new Error("The line's items were already received.");
+
+        for (const [i, copy] of copies.entries()) {
+            const entry = {
+                pid: String(copy.pid),
+                barcode: copy.barcode || ""
+            };
+            try {
+                const item = await almaPost(`${path}/items/${encodeURIComponent(copy.pid)}`, {}, {
+                    op: "receive"
+                });
+                entry.mms_id = String(item?.bib_data?.mms_id || "");
+                entry.holding_id = String(item?.holding_data?.holding_id || "");
+                entry.barcode = item?.item_data?.barcode || entry.barcode;
+
+                if (barcodes[i] && barcodes[i] !== entry.barcode && entry.mms_id && entry.holding_id) {
+                    item.item_data.barcode = barcodes[i];
+                    const saved = await almaPut(`bibs/${encodeURIComponent(entry.mms_id)}/holdings/` +
+                        `${encodeURIComponent(entry.holding_id)}/items/${encodeURIComponent(copy.pid)}`, item);
+                    entry.barcode = saved?.item_data?.barcode || barcodes[i];
+                }
+            } catch (e) {
+                console.warn("[Alma] Receiving item", copy.pid, "failed:", e.status, e.message);
+                entry.error = describeAlmaError(e).error;
+            }
+            out.items.push(entry);
+        }
+
+        // Keep the history's receiving state in step
+        await updateOrder(poLineNumber, poLineStatus(await almaGet(path, {}, {
+            essential: false
+        })));
+    } catch (e) {
+        console.warn("[Alma] Receiving", poLineNumber, "failed:", e.status, e.message);
+        out.error = describeAlmaError(e).error;
+    }
+    return out;
+}
+
+/**
+ * Escapes text for an XML element or attribute
+ * @param {*} s the text
+ * @returns the escaped text
+ */
+function xmlEscape(s) {
+    return String(s ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+/**
+ * Builds a MARCXML record from the scraped details so Alma gets a usable record rather than a brief one:
+ * 020 per ISBN (with the binding as qualifier), 100/700 authors, 245 title, 250 edition, 264 publisher and date
+ * @param {*} f the form data (title, isbn, isbns, author, publisher, publication_date, edition, format, material_type)
+ * @returns the <record> element as a string
+ */
+function buildMarcXml(f = {}) {
+    const title = String(f.title || "").trim();
+    const year = (String(f.publication_date || "").match(/\b(1[5-9]|20)\d{2}\b/) || [])[0] || "";
+    const isbns = [...new Set([f.isbn, ...(f.isbns || [])].map(i => String(i || "").replace(/[^0-9Xx]/g, "").toUpperCase()).filter(Boolean))];
+    // Vendors list people as "First Last"; headings want "Last, First"
+    const authors = String(f.author || "").split(/\s*;\s*/).filter(Boolean)
+        .map(a => a.includes(",") || !a.includes(" ") ? a : `${a.slice(a.lastIndexOf(" ") + 1)}, ${a.slice(0, a.lastIndexOf(" "))}`);
+    const video = /VIDEO|DVD|BLU/i.test(f.material_type || "");
+    const today = new Date().toISOString().slice(2, 10).replace(/-/g, "");
+    // 008: entered date, single date (or unknown), place unknown, language undetermined
+    const f008 = `${today}${year ? "s" : "n"}${year || "uuuu"}    xx ${" ".repeat(17)}und d`;
+
+    const field = (tag, ind1, ind2, subs) => {
+        const inner = subs.filter(([, v]) => v).map(([code, v]) => `<subfield code="${code}">${xmlEscape(v)}</subfield>`).join("");
+        return inner ? `<datafield tag="${tag}" ind1="${ind1}" ind2="${ind2}">${inner}</datafield>` : "";
+    };
+    // Nonfiling characters for a leading article
+    const article = (title.match(/^(the|an|a)\s+/i) || [""])[0].length;
+    const [main, sub] = title.split(/\s*:\s+/, 2);
+
+    return [
+        "<record>",
+        `<leader>00000n${video ? "g" : "a"}m a2200000 i 4500</leader>`,
+        `<controlfield tag="008">${f008}</controlfield>`,
+        ...isbns.map(i => field("020", " ", " ", [
+            ["a", i],
+            ["q", String(f.format || "").toLowerCase()]
+        ])),
+        authors[0] ? field("100", "1", " ", [
+            ["a", authors[0]]
+        ]) : "",
+        field("245", authors[0] ? "1" : "0", String(Math.min(article, 9)), [
+            ["a", sub ? `${main} :` : main],
+            ["b", sub]
+        ]),
+        field("250", " ", " ", [
+            ["a", f.edition]
+        ]),
+        field("264", " ", "1", [
+            ["b", f.publisher],
+            ["c", year || f.publication_date]
+        ]),
+        ...authors.slice(1).map(a => field("700", "1", " ", [
+            ["a", a]
+        ])),
+        "</record>"
+    ].join("");
+}
+
+/**
+ * Finds or makes the bib record the PO line should point at (ALMA_BIB_MODE "link"): an MMS ID picked in the popup,
+ * else the first catalog record with one of the ISBNs (SRU), else a new record built by buildMarcXml().
+ * Without an ISBN nothing is linked automatically, since a title match may be a different edition.
+ * In "brief" mode nothing happens and Alma makes its own brief record from resource_metadata.
+ * @param {*} f the form data
+ * @returns { mms_id, action: "linked" | "created" | "brief" }
+ */
+async function resolveBib(f = {}) {
+    if (f.mms_id) return {
+        mms_id: String(f.mms_id),
+        action: "linked"
+    };
+    if (CONFIG.ALMA_BIB_MODE === "brief") return {
+        mms_id: "",
+        action: "brief"
+    };
+
+    const isbns = [...new Set([f.isbn, ...(f.isbns || [])].flatMap(isbnVariants))];
+    if (isbns.length && CONFIG.ALMA_DOMAIN) {
+        try {
+            const records = await sruSearch(isbns.map(i => `alma.isbn=${i}`).join(" or "), 1);
+            const mms_id = marcControlField(records[0], "001");
+            if (mms_id) return {
+                mms_id,
+                action: "linked"
+            };
+        } catch (e) {
+            console.warn("[Alma] ISBN lookup failed, creating a record:", e.status, e.message);
+        }
+    }
+
+    const created = await almaPost("bibs", {
+        anies: [buildMarcXml(f)]
+    });
+    if (!created?.mms_id) throw new Error("Alma created the bib record but returned no MMS ID");
+    return {
+        mms_id: String(created.mms_id),
+        action: "created"
+    };
+}
+
+/**
+ * Looks for PO lines already on order for this title: searches acq/po-lines by each ISBN and by title keywords
+ * (which also catches lines ordered without one), merges them by line number and drops
+ * closed/cancelled lines.
+ * @param {*} f form data with isbn and title
+ * @param {*} opts essential: whether the searches may use the calls below the quota floor (default false)
+ * @returns the list of open PO lines (number, title, vendor, vendor code, price, quantity, funds, status, created date)
+ */
+async function findOpenPoLines(f = {}, {
+    essential = false
+} = {}) {
+    const isbns = isbnVariants(f.isbn);
+    const title = normalizeTitle(f.title);
+    const queries = isbns.map(i => `isbn~${i}`).concat(title ? [`title~${title}`] : []);
+
+    const seen = new Map();
+    for (const q of queries) {
+        const data = await almaGet("acq/po-lines", {
+            q,
+            status: "ACTIVE",
+            limit: "20"
+        }, {
+            essential
+        });
+        const lines = Array.isArray(data?.po_line) ? data.po_line : data?.po_line ? [data.po_line] : [];
+        for (const l of lines) {
+            if (l?.number && !seen.has(l.number)) seen.set(l.number, l);
+        }
+    }
+
+    const closed = /^(CLOSED|CANCELLED|DELETED)$/i;
+    return Array.from(seen.values())
+        .filter(l => !closed.test(String(l?.status?.value || "")))
+        .map(l => ({
+            number: l.number,
+            title: l?.resource_metadata?.title || "",
+            vendor: l?.vendor?.desc || l?.vendor?.value || "",
+            vendor_code: l?.vendor?.value || "",
+            price: Number(l?.price?.sum) || 0,
+            quantity: formFromPoLine(l).quantity,
+            funds: (Array.isArray(l?.fund_distribution) ? l.fund_distribution : [])
+                .map(d => d?.fund_code?.value)
+                .filter(Boolean),
+            status: l?.status?.desc || l?.status?.value || "",
+            created: l?.created_date || ""
+        }));
+}
+
+/**
+ * Divides the order total across several funds. Works in cents so the lines always add up to the total:
+ * percentages are rounded down and the leftover cents go to the lines with the largest remainders;
+ * amounts are taken as given. The split is checked here as well as in the popup, since queued, held and
+ * amended orders reach Alma without it: every line needs its own fund and a share, and the shares must come
+ * to 100% or to the order total.
+ * @param {*} lines the split from the popup, [{ fund, share }]
+ * @param {*} mode "percent" or "amount"
+ * @param {*} total the order total
+ * @param {*} currency currency code
+ * @returns the fund_distribution array Alma expects; throws an error on the fund field if the split doesn't add up
+ */
+function splitFundDistribution(lines, mode, total, currency) {
+    const totalCents = Math.round(total * 100);
+    const shares = lines.map(l => Number(l?.share) || 0);
+    const sum = shares.reduce((a, x) => a + x, 0);
+    const sumCents = shares.reduce((a, x) => a + Math.round(x * 100), 0);
+    const problem = lines.some(l => !l?.fund) ? "Choose a fund on every split line." :
+        new Set(lines.map(l => l.fund)).size !== lines.length ? "Each fund can only appear once in a split." :
+        shares.some(x => !(x > 0)) ? "Every split line needs a share greater than zero." :
+        mode !== "amount" && Math.abs(sum - 100) > 0.001 ? `Fund percentages add up to ${+sum.toFixed(3)}%, not 100%.` :
+        mode === "amount" && sumCents !== totalCents ?
+        `Fund amounts add up to ${(sumCents / 100).toFixed(2)} ${currency}, not the order total of ${(totalCents / 100).toFixed(2)} ${currency}.` : "";
+    if (problem) throw orderFieldError("FUND_SPLIT", problem, "fund");
+
+    let cents;
+    if (mode === "amount") {
+        cents = shares.map(x => Math.round(x * 100));
+    } else {
+        const exact = lines.map(l => totalCents * (Number(l.share) || 0) / 100);
+        cents = exact.map(Math.floor);
+        let left = totalCents - cents.reduce((a, c) => a + c, 0);
+        const byRemainder = exact.map((x, i) => i).sort((a, b) => (exact[b] - cents[b]) - (exact[a] - cents[a]));
+        for (let k = 0; left > 0; k++, left--) cents[byRemainder[k % byRemainder.length]]++;
+    }
+    return lines.map((l, i) => ({
+        fund_code: {
+            value: l.fund
+        },
+        amount: {
+            sum: (cents[i] / 100).toFixed(2),
+            currency: {
+                value: currency
+            }
+        }
+    }));
+}
+
+/**
+ * Saves one cache entry to chrome.storage.local (ALMA_CACHE); writes are queued so they don't overwrite each other
+ * @param {*} key cache key
+ * @param {*} entry { value, at }, or null to remove it
+ * @returns a promise resolving once written
+ */
+function persistCacheEntry(key, entry) {
+    CACHE_WRITES = CACHE_WRITES.then(async () => {
+        const {
+            ALMA_CACHE
+        } = await chrome.storage.local.get(["ALMA_CACHE"]);
+        const all = ALMA_CACHE || {};
+        if (entry) all[key] = entry;
+        else delete all[key];
+        await chrome.storage.local.set({
+            ALMA_CACHE: all
+        });
+    }).catch((e) => console.warn("[Alma] Cache write failed:", e));
+    return CACHE_WRITES;
+}
+
+/**
+ * Loads a value and caches it; concurrent loads of the same key share one request. Failures are not cached,
+ * nor is a value whose load started before the cache was invalidated (it may predate the change).
+ * @param {*} key cache key
+ * @param {*} loader async function producing the value
+ * @returns the freshly loaded value
+ */
+function reloadCached(key, loader) {
+    if (!CACHE_INFLIGHT.has(key)) {
+        const generation = CACHE_GENERATION;
+        CACHE_INFLIGHT.set(key, (async () => {
+            try {
+                const entry = {
+                    value: await loader(),
+                    at: Date.now()
+                };
+                if (generation !== CACHE_GENERATION) return entry.value;
+                CONF_CACHE.set(key, entry);
+                await persistCacheEntry(key, entry);
+                return entry.value;
+            } finally {
+                // After an invalidation the slot already belongs to a newer load, if any
+                if (generation === CACHE_GENERATION) CACHE_INFLIGHT.delete(key);
+            }
+        })());
+    }
+    return CACHE_INFLIGHT.get(key);
+}
+
+/**
+ * Returns a cached Alma lookup, loading it on first use. Survives service worker restarts through chrome.storage.
+ * Past its TTL (CACHE_TTL_MS) the cached value is still returned at once while a fresh one loads in the background.
+ * @param {*} key cache key, e.g. "funds" or "locations:MAIN"
+ * @param {*} loader async function producing the value
+ * @returns the cached or freshly loaded value
+ */
+async function cachedConf(key, loader) {
+    let entry = CONF_CACHE.get(key);
+    if (!entry) {
+        const {
+            ALMA_CACHE
+        } = await chrome.storage.local.get(["ALMA_CACHE"]);
+        entry = ALMA_CACHE?.[key];
+        if (entry) CONF_CACHE.set(key, entry);
+    }
+    if (!entry) return reloadCached(key, loader);
+
+    const ttl = CACHE_TTL_MS[key.split(":")[0]] ?? CACHE_TTL_MS.codetable;
+    if (Date.now() - entry.at > ttl) {
+        reloadCached(key, loader).catch((e) => console.warn(`[Alma] Refreshing ${key} failed, keeping cached copy:`, e?.message));
+    }
+    return entry.value;
+}
+
+/**
+ * Drops cached Alma data so the next lookup goes to Alma
+ * @param {*} key one cache key, or nothing to drop everything
+ * @returns a promise resolving once storage is updated
+ */
+async function invalidateCache(key) {
+    CACHE_GENERATION++;
+    if (key) {
+        CONF_CACHE.delete(key);
+        CACHE_INFLIGHT.delete(key);
+        return persistCacheEntry(key, null);
+    }
+    CONF_CACHE.clear();
+    CACHE_INFLIGHT.clear();
+    await CACHE_WRITES;
+    await chrome.storage.local.remove("ALMA_CACHE");
+}
+
+/**
+ * Loads every fund with its balances (acq/funds?view=full), for the fund dropdown and balance check
+ * @returns [{ code, name, available, encumbered, currency, fiscal_period }] sorted by code
+ */
+async function getFunds() {
+    return cachedConf("funds", async () => {
+        const list = await almaGetAll("acq/funds?view=full", [
+            ["funds", "fund"],
+            ["fund"]
+        ]);
+        list.sort((a, b) => String(a.code).localeCompare(String(b.code)));
+        const amount = (x) => {
+            const n = Number(x?.sum ?? x);
+            return x == null || Number.isNaN(n) ? null : n;
+        };
+        return list.map(f => ({
+            code: f.code,
+            name: f.name,
+            available: amount(f.available_balance),
+            encumbered: amount(f.encumbrance ?? f.encumbered_balance),
+            currency: f.available_balance?.currency?.value || f.currency?.value || "",
+            fiscal_period: f.fiscal_period?.desc || f.fiscal_period?.value || ""
+        }));
+    });
+}
+
+/**
+ * Loads an Alma code table's enabled rows, sorted by position then description.
+ * Reads conf/code-tables/{name} directly, falling back to finding the table in the institution's list.
+ * @param {*} name the code table name
+ * @returns [{ code, description }]
+ */
+async function getCodeTable(name) {
+    return cachedConf(`codetable:${name}`, async () => {
+        const normalizeRows = (data) => {
+            const ct = data?.code_table || data;
+            let rows = [];
+            if (Array.isArray(ct?.row)) rows = ct.row;
+            else if (Array.isArray(ct?.rows?.row)) rows = ct.rows.row;
+            else if (Array.isArray(data?.row)) rows = data.row;
+            const enabled = (rows || []).filter(r => {
+                const e = r?.enabled;
+                const s = r?.status ?? r?.active;
+                if (typeof e === "boolean") return e;
+                if (typeof s === "boolean") return s;
+                if (typeof s === "string") return /active|enabled/i.test(s);
+                return true;
+            });
+            enabled.sort((a, b) => {
+                const pa = Number(a?.position ?? a?.order ?? 1e9);
+                const pb = Number(b?.position ?? b?.order ?? 1e9);
+                if (pa !== pb) return pa - pb;
+                const da = String(a?.description ?? "");
+                const db = String(b?.description ?? "");
+                if (da && db && da !== db) return da.localeCompare(db);
+                const ca = String(a?.code ?? a?.value ?? a?.name ?? "");
+                const cb = String(b?.code ?? b?.value ?? b?.name ?? "");
+                return ca.localeCompare(cb);
+            });
+            return enabled.map(r => ({
+                code: r?.code ?? r?.value ?? r?.name ?? "",
+                description: r?.description ?? ""
+            })).filter(x => x.code);
+        };
+        try {
+            const data = await almaGet(`conf/code-tables/${encodeURIComponent(name)}`, {
+                format: "json"
+            });
+            return normalizeRows(data);
+        } catch (_) {
+            const list = await almaGet("conf/code-tables", {
+                scope: "INSTITUTION",
+                limit: "500",
+                format: "json"
+            });
+            const tables = list?.code_tables?.code_table || [];
+            const hit = tables.find(t => (t?.name || t?.code) === name);
+            if (!hit?.link) {
+                const err = new Error(`Code table not found: ${name}`);
+                err.status = 404;
+                throw err;
+            }
+            const rel = hit.link.replace(/^https?:\/\/[^/]+\/almaws\/v1\//, "");
+            const data = await almaGet(rel, {
+                format: "json",
+                scope: "INSTITUTION"
+            });
+            return normalizeRows(data);
+        }
+    });
+}
+
+/**
+ * Lists the institution's libraries from conf/libraries
+ * @returns [{ code, name }] sorted by name
+ */
+async function getLibraries() {
+    return cachedConf("libraries", async () => {
+        const data = await almaGet("conf/libraries");
+        const arr = Array.isArray(data?.library) ? data.library : data?.library ? [data.library] : [];
+        return arr.map(l => ({
+            code: l?.code || "",
+            name: l?.name || l?.code || ""
+        })).filter(l => l.code).sort((a, b) => a.name.localeCompare(b.name));
+    });
+}
+
+/**
+ * Lists a library's shelving locations from conf/libraries/{code}/locations
+ * @param {*} library the library code
+ * @returns [{ code, name }] sorted by name
+ */
+async function getLocations(library) {
+    return cachedConf(`locations:${library}`, async () => {
+        const data = await almaGet(`conf/libraries/${encodeURIComponent(library)}/locations`);
+        const arr = Array.isArray(data?.location) ? data.location : data?.location ? [data.location] : [];
+        return arr.map(l => ({
+            code: l?.code || "",
+            name: l?.name || l?.external_name || l?.code || ""
+        })).filter(l => l.code).sort((a, b) => a.name.localeCompare(b.name));
+    });
+}
+
+/**
+ * Decides which Alma vendor and vendor account a PO line goes to.
+ * The vendor picked in the popup wins; otherwise the mapping saved in options (ALMA_VENDOR_MAP, keyed by
+ * adapter id) is used, falling back to the vendor defined on the adapter itself.
+ * @param {*} f form data (supplier, and vendor_code/vendor_account when overridden)
+ * @param {*} adapter the vendor adapter matching the supplier, if any
+ * @returns { code, name, account, acquisition_method } or null
+ */
+function resolveVendorRoute(f = {}, adapter = null) {
+    const mapped = adapter ? CONFIG.ALMA_VENDOR_MAP?.[adapter.id] : null;
+    const guess = mapped?.vendor ? {
+        code: mapped.vendor,
+        name: mapped.vendor_name || "",
+        account: mapped.account || ""
+    } : adapter?.vendor ? {
+        code: adapter.vendor.code,
+        name: adapter.vendor.desc,
+        account: adapter.vendor.account || ""
+    } : null;
+
+    const code = String(f.vendor_code || "").trim();
+    if (code && code !== guess?.code) {
+        return {
+            code,
+            name: f.vendor_name || "",
+            account: String(f.vendor_account || "").trim()
+        };
+    }
+    if (!guess) return null;
+    return Object.assign(guess, {
+        account: String(f.vendor_account || "").trim() || guess.account,
+        acquisition_method: adapter?.vendor?.acquisition_method
+    });
+}
+
+/**
+ * Shapes an Alma vendor record for the popup/options
+ * @param {*} v the vendor from acq/vendors
+ * @returns { code, name, active, accounts: [{ code, description, active }] }
+ */
+function shapeVendor(v) {
+    const isActive = (st) => !st || /^active$/i.test(String(st?.value ?? st));
+    const accounts = Array.isArray(v?.account) ? v.account : Array.isArray(v?.accounts?.account) ? v.accounts.account : [];
+    return {
+        code: v?.code || "",
+        name: v?.name || v?.code || "",
+        active: isActive(v?.status),
+        accounts: accounts.map(a => ({
+            code: a?.code || a?.account_id || "",
+            description: a?.description || "",
+            active: isActive(a?.status)
+        })).filter(a => a.code)
+    };
+}
+
+/**
+ * Turns an Alma license (acq/licenses) into what the popup's license picker and options need
+ * @param {*} l the license from Alma
+ * @returns { code, name, active, status, review_status, licensor, start_date, end_date }
+ */
+function shapeLicense(l) {
+    const day = (d) => String(d || "").replace(/Z$/, "");
+    return {
+        code: l?.code || "",
+        name: l?.name || l?.code || "",
+        active: !l?.status || /^active$/i.test(String(l.status?.value ?? l.status)),
+        status: l?.status?.desc || l?.status?.value || "",
+        review_status: l?.review_status?.desc || l?.review_status?.value || "",
+        licensor: l?.licensor?.desc || l?.licensor?.value || "",
+        start_date: day(l?.start_date),
+        end_date: day(l?.end_date)
+    };
+}
+
+/**
+ * Picks the New Order API profiles to try for a PO line from the options routing (ALMA_ORDER_PROFILES):
+ * a vendor rule (adapter id or Alma vendor code) wins over a PO line type rule, which wins over the preferred profile.
+ * The configured alternates follow, for when Alma reports more than one matching profile (40188610).
+ * @param {*} body the POL body from mapToAlmaPOL()
+ * @param {*} adapter the vendor adapter (may be null)
+ * @returns { profiles: [codes in order], explicit: whether a vendor/type rule matched }; no profiles means post directly
+ */
+function orderProfilesFor(body, adapter) {
+    const conf = CONFIG.ALMA_ORDER_PROFILES || DEFAULT_ORDER_PROFILES;
+    const rules = Array.isArray(conf.rules) ? conf.rules : [];
+    const eq = (a, b) => !!a && String(a).toUpperCase() === String(b || "").toUpperCase();
+    const vendors = [adapter?.id, body?.vendor?.value];
+    const rule = rules.find(r => r.by === "vendor" && vendors.some(v => eq(r.value, v))) ||
+        rules.find(r => r.by === "type" && eq(r.value, body?.type?.value));
+
+    const preferred = rule?.profile || conf.preferred || "";
+    if (!preferred || preferred === "DIRECT") return {
+        profiles: [],
+        explicit: !!rule
+    };
+    const alternates = Array.isArray(conf.alternates) ? conf.alternates : [];
+    return {
+        profiles: [preferred].concat(alternates.filter(a => a && a !== preferred && a !== "DIRECT")),
+        explicit: !!rule
+    };
+}
+
+/**
+ * Builds the order history entry for a PO line we just created
+ * @param {*} number the new PO line number
+ * @param {*} body the POL body we posted
+ * @param {*} f the form data from the popup
+ * @returns the history entry
+ */
+function historyEntryFromBody(number, body, f = {}) {
+    return {
+        number,
+        title: body?.resource_metadata?.title || f.title || "",
+        vendor: body?.vendor?.desc || body?.vendor?.value || f.supplier || "",
+        funds: (body?.fund_distribution || []).map(d => d?.fund_code?.value).filter(Boolean),
+        price: Number(f.price) || 0,
+        quantity: body?.quantity || 1,
+        currency: body?.price?.currency?.value || "USD",
+        po_line_type: body?.type?.value || "",
+        source_url: f.source_url || "",
+        created_at: Date.now()
+    };
+}
+
+/**
+ * Adds an entry to the front of the order history kept in chrome.storage.local (ALMA_ORDER_HISTORY)
+ * @param {*} entry the history entry
+ */
+async function recordOrder(entry) {
+    const {
+        ALMA_ORDER_HISTORY
+    } = await chrome.storage.local.get(["ALMA_ORDER_HISTORY"]);
+    const list = Array.isArray(ALMA_ORDER_HISTORY) ? ALMA_ORDER_HISTORY : [];
+    list.unshift(entry);
+    await chrome.storage.local.set({
+        ALMA_ORDER_HISTORY: list.slice(0, ORDER_HISTORY_LIMIT)
+    });
+}
+
+/**
+ * Merges changes into a stored history entry
+ * @param {*} number the PO line number
+ * @param {*} patch fields to update
+ * @returns the updated entry, or null if it isn't in the history
+ */
+async function updateOrder(number, patch) {
+    const {
+        ALMA_ORDER_HISTORY
+    } = await chrome.storage.local.get(["ALMA_ORDER_HISTORY"]);
+    const list = Array.isArray(ALMA_ORDER_HISTORY) ? ALMA_ORDER_HISTORY : [];
+    const hit = list.find(e => e.number === number);
+    if (!hit) return null;
+    Object.assign(hit, patch);
+    await chrome.storage.local.set({
+        ALMA_ORDER_HISTORY: list
+    });
+    return hit;
+}
+
+/**
+ * Reads the current state of a PO line from Alma: status, expected receipt/activation date,
+ * and how many copies are received (physical) or whether it is still awaiting activation (electronic)
+ * @param {*} pol the PO line from acq/po-lines/{number}
+ * @returns the status fields stored in the history
+ */
+function poLineStatus(pol) {
+    const type = String(pol?.type?.value || "").toUpperCase();
+    const statusCode = String(pol?.status?.value || "").toUpperCase();
+    const copies = (Array.isArray(pol?.location) ? pol.location : [])
+        .flatMap(l => Array.isArray(l?.copy) ? l.copy : []);
+    let receiving;
+    if (type.startsWith("E")) {
+        receiving = /CLOSED/.test(statusCode) ? "Activated" : "Awaiting activation";
+    } else if (copies.length) {
+        const received = copies.filter(c => c?.receive_date).length;
+        receiving = `${received} of ${copies.length} received`;
+    } else {
+        receiving = /CLOSED/.test(statusCode) ? "Received" : "Not received";
+    }
+    return {
+        status: pol?.status?.desc || pol?.status?.value || "",
+        status_code: statusCode,
+        expected_date: String(pol?.expected_receipt_date || pol?.expected_activation_date || "").replace(/Z$/, ""),
+        receiving,
+        checked_at: Date.now()
+    };
+}
+
+/**
+ * True while a PO line can still be amended or cancelled from the extension
+ * @param {*} pol the PO line from acq/po-lines/{number}
+ * @returns whether the line is still open
+ */
+function isOpenPoLine(pol) {
+    return !/CLOSED|CANCELLED|DELETED/.test(String(pol?.status?.value || "").toUpperCase());
+}
+
+/**
+ * Turns an Alma PO line back into the popup's form fields, so the creation form can be used to edit it.
+ * A split over several funds comes back as amounts, since that's how Alma stores it.
+ * @param {*} pol the PO line from acq/po-lines/{number}
+ * @returns the form values (same shape collectForm() in popup.js produces)
+ */
+function formFromPoLine(pol) {
+    const dist = Array.isArray(pol?.fund_distribution) ? pol.fund_distribution : [];
+    const locations = (Array.isArray(pol?.location) ? pol.location : []).map(l => ({
+        library: l?.library?.value || "",
+        location: l?.location?.value || "",
+        quantity: Number(l?.quantity) || 0
+    }));
+    const quantity = locations.reduce((a, l) => a + l.quantity, 0) || Number(pol?.quantity) || 1;
+    return {
+        number: pol?.number || "",
+        title: pol?.resource_metadata?.title || "",
+        price: Number(pol?.price?.sum) || 0,
+        currency: pol?.price?.currency?.value || "USD",
+        quantity,
+        vendor_code: pol?.vendor?.value || "",
+        vendor_name: pol?.vendor?.desc || pol?.vendor?.value || "",
+        vendor_account: pol?.vendor_account || "",
+        po_line_type: pol?.type?.value || "",
+        material_type: pol?.material_type?.value || "",
+        owner: pol?.owner?.value || "",
+        fund: dist[0]?.fund_code?.value || "",
+        fund_split: {
+            mode: "amount",
+            lines: dist.length > 1 ? dist.map(d => ({
+                fund: d?.fund_code?.value || "",
+                share: Number(d?.amount?.sum) || 0
+            })) : []
+        },
+        encumbered: Object.fromEntries(dist.map(d => [d?.fund_code?.value || "", Number(d?.amount?.sum) || 0])),
+        reporting_code: pol?.reporting_code || "",
+        receiving_note: pol?.receiving_note || "",
+        locations
+    };
+}
+
+/**
+ * Copies the fields that may be amended after creation (price, quantity and locations, funds,
+ * reporting code, receiving note) from a freshly mapped body onto the PO line Alma returned.
+ * Copies already created at a location keep their items when that location's quantity is unchanged.
+ * @param {*} pol the PO line from acq/po-lines/{number}
+ * @param {*} body the body mapToAlmaPOL() built from the edited form
+ * @returns the PO line to PUT back
+ */
+function applyPoLineEdits(pol, body) {
+    const out = Object.assign({}, pol, {
+        price: body.price,
+        fund_distribution: body.fund_distribution || pol.fund_distribution
+    });
+    if (body.reporting_code) out.reporting_code = body.reporting_code;
+    else delete out.reporting_code;
+    if (body.receiving_note) out.receiving_note = body.receiving_note;
+    else delete out.receiving_note;
+
+    if (Array.isArray(pol?.location) && Array.isArray(body.location)) {
+        out.location = body.location.map((l) => {
+            const same = pol.location.find(o => o?.library?.value === l.library.value &&
+                o?.location?.value === l.location.value && Number(o?.quantity) === l.quantity);
+            return same || l;
+        });
+    }
+    return out;
+}
+
+/**
+ * True for recurring PO line types (AlmaVendors.isRecurringPoType()), with the description from Alma's
+ * PO line type code table when it's loaded
+ * @param {*} code the Alma PO line type code
+ * @returns whether the type renews
+ */
+function isRecurringPoType(code) {
+    const row = (CONF_CACHE.get(`codetable:${PO_LINE_TYPE_TABLE}`)?.value || []).find(r => r.code === code);
+    return AlmaVendors.isRecurringPoType(code, row?.description);
+}
+
+/**
+ * Loads the PO line type and material type code tables, which preparePoLine() and isRecurringPoType()
+ * only read from the cache. A table that can't be loaded is skipped, so its codes just aren't checked.
+ */
+async function loadOrderCodeTables() {
+    await Promise.all([PO_LINE_TYPE_TABLE, MATERIAL_TYPE_TABLE].map(t => getCodeTable(t).catch(() => [])));
+}
+
+/**
+ * Takes the form data from popup.js (including scraped vendor data),
+ * and produces the JSON object Alma expects when creating a PO line.
+ * @param {*} f is the form data from popup.js
+ * @returns the JSON object Alma expects when creating a PO line.
+ */
+function mapToAlmaPOL(f = {}) {
+    const asArray = (x) => (x == null ? [] : Array.isArray(x) ? x : [x]);
+
+    // Vendor adapter (vendors.js) supplies routing and type defaults for known suppliers
+    const adapter = AlmaVendors.bySupplier(f.supplier);
+
+    // Codes
+    const ownerCode = (typeof f.owner === "string" ? f.owner : f.owner?.value) || "MAIN";
+    const poType = (f.po_line_type || adapter?.defaults?.po_line_type || "PRINT_OT").trim();
+    const matType = (f.material_type || adapter?.defaults?.material_type || "BOOK").trim();
+
+    const body = {
+        owner: {
+            value: ownerCode
+        },
+        type: {
+            value: poType
+        },
+        material_type: {
+            value: matType
+        },
+        resource_metadata: {
+            title: (f.title || "").trim()
+        },
+        price: {
+            sum: String((Number(f.price) || 0).toFixed(2)),
+            currency: {
+                value: f.currency || "USD"
+            }
+        }
+    };
+
+    // Copies requested
+    const copies = Math.max(1, Number(f.quantity) || 1);
+    body.quantity = copies;
+
+    // Bib record to order against (resolveBib())
+    if (f.mms_id) {
+        body.resource_metadata.mms_id = {
+            value: String(f.mms_id)
+        };
+    }
+
+    // ISBN code
+    if (f.isbn) {
+      const clean = String(f.isbn).replace(/[^0-9Xx]/g, "");
+      if (clean) {
+        body.resource_metadata.isbn = clean;
+      }
+    }
+
+
+    // Physical lines
+    const isPhysicalLine = /^(PRINT_|PHYSICAL_|PHYS_)/.test(poType.toUpperCase());
+    if (isPhysicalLine) {
+        // Copies may be spread over several locations (popup location rows); otherwise all go to one
+        const rows = Array.isArray(f.locations) ? f.locations.filter(l => l?.location && Number(l.quantity) > 0) : [];
+        body.location = rows.length ? rows.map(l => ({
+            library: {
+                value: l.library || ownerCode
+            },
+            location: {
+                value: l.location
+            },
+            quantity: Number(l.quantity),
+            quantity_for_pricing: Number(l.quantity)
+        })) : [{
+            library: {
+                value: ownerCode // "MAIN"
+            },
+            location: {
+                value: f.location_code || "MSTCK"
+            },
+            quantity: copies,
+            quantity_for_pricing: copies
+        }];
+    }
+
+    const finalType = (body.type?.value || "").toUpperCase();
+    const isPhysical = /^(PRINT_|PHYSICAL_|PHYS_)/.test(finalType);
+    if (!isPhysical) delete body.location;
+
+    // Electronic lines: what activation staff need, in the line's own fields rather than the receiving note
+    const eline = f.electronic || {};
+    if (!isPhysical) {
+        const url = String(eline.url || "").trim();
+        const provider = String(eline.access_provider || adapter?.defaults?.access_provider || "").trim();
+        if (url) body.url = url;
+        if (provider) body.access_provider = provider;
+        if (eline.access_model) {
+            body.access_model = {
+                value: eline.access_model
+            };
+        }
+        if (eline.license) {
+            body.license = {
+                value: eline.license
+            };
+        }
+        // The license term goes with the activation note: Alma's subscription dates are for recurring lines (below)
+        const notes = [
+            String(eline.activation_note || "").trim() && `Activation: ${String(eline.activation_note).trim()}`,
+            (eline.license_start || eline.license_end) && `License term: ${eline.license_start || "…"} to ${eline.license_end || "…"}`
+        ].filter(Boolean);
+        if (notes.length) body.note = notes.map(note_text => ({
+            note_text
+        }));
+    }
+
+    // Recurring lines: the subscription period and how it renews
+    const sub = f.subscription;
+    if (sub && isRecurringPoType(finalType)) {
+        if (sub.start) body.subscription_from_date = `${sub.start}Z`;
+        if (sub.end) body.subscription_to_date = `${sub.end}Z`;
+        if (sub.renewal_date) body.renewal_date = `${sub.renewal_date}Z`;
+        // Renewal cycle and reminder are in days
+        if (Number(sub.renewal_period) > 0) body.renewal_period = String(sub.renewal_period);
+        if (Number(sub.reminder_days) > 0) body.renewal_reminder_period = String(sub.reminder_days);
+        body.manual_renewal = !!sub.manual_renewal;
+        if (String(sub.renewal_note || "").trim()) body.renewal_note = String(sub.renewal_note).trim();
+    }
+
+    // Reporting code
+    const rcList = asArray(f.reporting_code)
+        .map((s) => String(s || "").trim())
+        .filter(Boolean);
+    if (rcList.length) body.reporting_code = rcList[0];
+
+    // Receiving note
+    if (f.receiving_note && f.receiving_note.trim()) {
+        body.receiving_note = f.receiving_note.trim();
     }
 
     // Fund distribution (amount = unit price * copies)
     const unit = Number(f.price) || 0;
     const total = +(unit * copies).toFixed(2);
-    if (f.fund) {
+    const splitLines = Array.isArray(f.fund_split?.lines) ? f.fund_split.lines : [];
+    if (splitLines.length > 1) {
+        body.fund_distribution = splitFundDistribution(splitLines, f.fund_split.mode, total, f.currency || "USD");
+    } else if (f.fund) {
         body.fund_distribution = [{
             fund_code: {
                 value: f.fund
@@ -395,67 +2153,839 @@ function mapToAlmaPOL(f = {}) {
         }];
     }
 
-    // Interested users
-    const iu = Array.isArray(f.interested_users) ? f.interested_users : [];
-    if (iu.length) {
-        body.interested_user = iu.map(u => ({
-            primary_id: u.primary_id || u.user || u.id || String(u),
-            notify_receiving_activation: !!(u.notify_receiving_activation || u.notify || u.notifyReceiving),
-            hold_item: !!(u.hold_item || u.hold || u.place_hold)
-        }));
-    }
+    // Interested users
+    const iu = Array.isArray(f.interested_users) ? f.interested_users : [];
+    if (iu.length) {
+        body.interested_user = iu.map(u => ({
+            primary_id: u.primary_id || u.user || u.id || String(u),
+            notify_receiving_activation: !!(u.notify_receiving_activation || u.notify || u.notifyReceiving),
+            hold_item: !!(u.hold_item || u.hold || u.place_hold)
+        }));
+    }
+
+    // Vendor routing: popup override, else the options vendor mapping, else the adapter's own vendor (vendors.js)
+    const route = resolveVendorRoute(f, adapter);
+    if (route?.code) {
+        body.vendor = {
+            value: route.code,
+            desc: route.name || route.code
+        };
+        body.vendor_account = route.account || route.code;
+
+        if (route.acquisition_method) {
+            body.acquisition_method = {
+                value: route.acquisition_method
+            };
+        }
+    }
+    // Clean undefined
+    Object.keys(body).forEach((k) => body[k] === undefined && delete body[k]);
+    return body;
+}
+
+/**
+ * Builds exactly what submitPoLine() would send, without sending it: the PO line body from mapToAlmaPOL(),
+ * the New Order API profiles it will try in order (empty = direct), and any code Alma doesn't know
+ * @param {*} f the form data from the popup
+ * @returns { body, profiles, electronic, unknown: [table, code, label] or null }
+ */
+function preparePoLine(f = {}) {
+    const body = mapToAlmaPOL(f);
+
+    // Codes Alma doesn't know (checked against code tables already loaded for the popup)
+    const unknown = [
+        [PO_LINE_TYPE_TABLE, body?.type?.value, "PO line type"],
+        [MATERIAL_TYPE_TABLE, body?.material_type?.value, "material type"]
+    ].find(([table, code]) => {
+        const rows = CONF_CACHE.get(`codetable:${table}`)?.value;
+        return rows?.length && !rows.some(r => r.code === code);
+    }) || null;
+
+    // Decide by the *final* type on the body (what Alma will actually see)
+    const t = String(body?.type?.value || "").toUpperCase();
+    const electronic = t.startsWith("E");
+
+    // Safety: e-lines must not carry a physical location block
+    if (electronic && body.location) delete body.location;
+
+    // Profiles from the options routing; electronic lines go direct unless a rule names them
+    const route = orderProfilesFor(body, AlmaVendors.bySupplier(f.supplier));
+    const profiles = electronic && !route.explicit ? [] : route.profiles;
+
+    return {
+        body,
+        profiles,
+        electronic,
+        unknown
+    };
+}
+
+/**
+ * Builds the error for an order field that fails a check, shaped like Alma's so describeAlmaError() and the
+ * popup's showAlmaErrors() mark the field
+ * @param {*} code the error code (e.g. UNKNOWN_CODE)
+ * @param {*} message what's wrong
+ * @param {*} field the form field it concerns
+ * @returns the error (status 400)
+ */
+function orderFieldError(code, message, field) {
+    const err = new Error(message);
+    err.status = 400;
+    err.code = code;
+    err.errors = [{
+        code,
+        message,
+        field
+    }];
+    return err;
+}
+
+/**
+ * Checks a PO line before it's created or amended: its funds, vendor and reporting code must exist in Alma,
+ * and in "block" fund balance mode (options) each fund must cover its part. The popup checks these too, but
+ * queued, held and amended orders reach Alma without going through it again.
+ * @param {*} body the PO line body from mapToAlmaPOL()
+ * @param {*} encumbered what an amended line already encumbers, by fund code (the change frees it)
+ * @returns nothing; throws an UNKNOWN_CODE or FUND_BALANCE error on the field concerned
+ */
+async function checkOrderBody(body, encumbered = {}) {
+    const unknown = await findUnknownOrderCode(body);
+    if (unknown) throw orderFieldError("UNKNOWN_CODE", `Unknown ${unknown[2]} "${unknown[1]}".`, unknown[0]);
+
+    if (CONFIG.ALMA_FUND_BALANCE_MODE !== "block") return;
+    const funds = await getFunds().catch((e) => {
+        if (isTransientAlmaError(e)) throw e;
+        return [];
+    });
+    const short = (body?.fund_distribution || []).map((d) => {
+        const fund = funds.find(x => x.code === d?.fund_code?.value);
+        const currency = d?.amount?.currency?.value || "";
+        if (!fund || fund.available == null || (fund.currency && currency && fund.currency !== currency)) return null;
+        const part = Number(d?.amount?.sum) || 0;
+        const available = fund.available + (encumbered[fund.code] || 0);
+        return part > available ? `${fund.code} needs ${part.toFixed(2)} ${currency}, available ${available.toFixed(2)}.` : null;
+    }).filter(Boolean);
+    if (short.length) {
+        throw orderFieldError("FUND_BALANCE", `Order exceeds the available fund balance: ${short.join(" ")}`, "fund");
+    }
+}
+
+/**
+ * Looks up the PO line's funds, vendor and reporting code in Alma. Lists the key can't read are skipped (Alma
+ * checks them anyway); network trouble and server errors are passed on so the order waits in the outbox.
+ * @param {*} body the PO line body from preparePoLine()
+ * @returns [field, code, label] for the first one Alma doesn't have, or null
+ */
+async function findUnknownOrderCode(body) {
+    const skipUnlessTransient = (e) => {
+        if (isTransientAlmaError(e)) throw e;
+        return null;
+    };
+
+    const codes = (body?.fund_distribution || []).map(d => d?.fund_code?.value).filter(Boolean);
+    if (codes.length) {
+        const funds = await getFunds().catch(skipUnlessTransient);
+        const missing = funds?.length ? codes.find(c => !funds.some(x => x.code === c)) : null;
+        if (missing) return ["fund", missing, "fund"];
+    }
+
+    const vendor = body?.vendor?.value;
+    if (vendor) {
+        try {
+            await cachedConf(`vendor:${vendor}`, async () =>
+                shapeVendor(await almaGet(`acq/vendors/${encodeURIComponent(vendor)}`)));
+        } catch (e) {
+            skipUnlessTransient(e);
+            if (e.status === 400 || e.status === 404) return ["vendor", vendor, "vendor"];
+        }
+    }
+
+    const reporting = body?.reporting_code;
+    if (reporting) {
+        const rows = await getCodeTable(REPORTING_CODE_TABLE).catch(skipUnlessTransient);
+        if (rows?.length && !rows.some(r => r.code === reporting)) return ["reporting_code", reporting, "reporting code"];
+    }
+    return null;
+}
+
+/**
+ * Resolves the bib before ordering and stores its MMS ID on the form data, so a retry from the outbox
+ * orders against the same record instead of creating another. Network trouble, rate limits and server
+ * errors are passed on (the order waits in the outbox); anything else, such as a key without Bibs
+ * permission, falls back to Alma's brief record so the order still goes through.
+ * @param {*} f the form data (gets mms_id)
+ * @returns { mms_id, action, error }
+ */
+async function resolveBibForOrder(f) {
+    try {
+        const bib = await resolveBib(f);
+        if (bib.mms_id) f.mms_id = bib.mms_id;
+        return bib;
+    } catch (e) {
+        if (isTransientAlmaError(e)) throw e;
+        console.warn("[Alma] Bib record not created; ordering with a brief record:", e.status, e.message);
+        return {
+            mms_id: "",
+            action: "brief",
+            error: describeAlmaError(e).error
+        };
+    }
+}
+
+/**
+ * Creates a PO line from the popup's form: builds the body and routing with preparePoLine(), posts it
+ * (trying each routed profile in turn), and records it in the order history.
+ * Used by CREATE_PO_LINE and when sending orders from the outbox.
+ * @param {*} f the form data from the popup
+ * @returns { po_line_number, raw, used_profile }; throws an error with status/body (and code or tried) on failure
+ */
+async function submitPoLine(f = {}) {
+    // The service worker may have restarted since the popup loaded them (outbox, approvals)
+    await loadOrderCodeTables();
+    const {
+        body: checked,
+        unknown: unknownCode
+    } = preparePoLine(f);
+    // Checked before the bib is created, so a line Alma would reject doesn't leave a record behind
+    if (unknownCode) {
+        throw orderFieldError("UNKNOWN_CODE", `Unknown ${unknownCode[2]} "${unknownCode[1]}".`,
+            unknownCode[0] === PO_LINE_TYPE_TABLE ? "po_line_type" : "material_type");
+    }
+    await checkOrderBody(checked);
+
+    // Alma creates the line when the request is approved, on the request's own bibliographic record
+    if (f.purchase_request_id) {
+        const polBody = preparePoLine(f).body;
+        const ordered = await orderPurchaseRequest(f, polBody);
+        return Object.assign(ordered, {
+            used_profile: "PURCHASE_REQUEST",
+            bib: f.mms_id ? {
+                action: "linked",
+                mms_id: f.mms_id
+            } : null
+        }, await completeOrder(f, ordered.po_line_number, polBody, "PURCHASE_REQUEST"));
+    }
+
+    // Resolved before building the body so the line carries the bib's MMS ID
+    const bib = await resolveBibForOrder(f);
+    const {
+        body: polBody,
+        profiles,
+        electronic: isElectronic
+    } = preparePoLine(f);
+    console.log("[Alma] POL body", JSON.stringify(polBody, null, 2));
+
+    let resp, used_profile;
+    try {
+        ({
+            resp,
+            used_profile
+        } = await postPoLine(polBody, profiles, isElectronic));
+    } catch (e) {
+        // The bib is already in Alma: the popup sends it back on retry instead of creating another
+        if (bib.mms_id) e.bib = bib;
+        throw e;
+    }
+
+    const poLineNumber =
+        resp?.number || resp?.po_line_number || resp?.po_line?.po_line_number || null;
+
+    return Object.assign({
+        po_line_number: poLineNumber,
+        raw: resp,
+        used_profile,
+        bib
+    }, await completeOrder(f, poLineNumber, polBody, used_profile));
+}
+
+/**
+ * Posts a PO line, direct or through each routed New Order API profile in turn: the next profile while
+ * Alma says the profile is ambiguous, and direct once if the preferred route is rejected
+ * @param {*} polBody the PO line body
+ * @param {*} profiles the profiles from preparePoLine() (empty = direct)
+ * @param {*} isElectronic whether it's an e-line (for the log)
+ * @returns { resp, used_profile }; throws Alma's error (with tried) on failure
+ */
+async function postPoLine(polBody, profiles, isElectronic) {
+    let resp, used_profile = "DIRECT";
+
+    if (!profiles.length) {
+        console.log(`[Alma] POST (${isElectronic ? "electronic" : "no profile"}) → direct`);
+        resp = await almaPost("acq/po-lines", polBody);
+
+    } else {
+        // Try the routed profile, then each alternate while Alma says the profile is ambiguous
+        const tried = [];
+        for (const profile of profiles) {
+            tried.push(profile);
+            console.log("[Alma] POST (profile) →", profile);
+            try {
+                resp = await almaPost("acq/po-lines", polBody, {
+                    profile,
+                    integration_profile: profile
+                });
+                used_profile = profile;
+                break;
+
+            } catch (e1) {
+                const msg = String(e1?.body || e1?.message || "");
+                const status = e1?.status || 0;
+
+                const isMultiProfiles =
+                    msg.includes("40188610") ||
+                    /More than one New Order API integration profiles/i.test(msg);
+
+                const isIllegalOr400 =
+                    status === 400 || /401872|illegal|BAD_REQUEST|400/gi.test(msg);
+
+                if (isMultiProfiles && tried.length < profiles.length) {
+                    console.warn("[Alma] 40188610 on", profile, "— retrying with", profiles[tried.length]);
+                    continue;
+                }
+
+                if (!isMultiProfiles && isIllegalOr400 && tried.length === 1) {
+                    console.warn("[Alma] Preferred route rejected (", msg, "). Retrying direct…");
+                    resp = await almaPost("acq/po-lines", polBody);
+                    used_profile = "DIRECT";
+                    break;
+                }
+
+                console.error("[Alma] CREATE_PO_LINE failed on", profile, e1);
+                e1.tried = tried;
+                throw e1;
+            }
+        }
+    }
+
+    return {
+        resp,
+        used_profile
+    };
+}
+
+/**
+ * The steps after a PO line exists: order history, prepaid invoice and receiving.
+ * Shared by submitPoLine() and the outbox, which may find the line already in Alma instead of creating it.
+ * None of them throw, since the order itself is placed.
+ * @param {*} f the form data
+ * @param {*} poLineNumber the PO line number (nothing is done without one)
+ * @param {*} polBody the PO line body it was created from
+ * @param {*} used_profile the New Order API profile used, for the history
+ * @param {*} opts found: the line was found in Alma rather than created here, so its items aren't received
+ * (receiving can't be undone, and rewrites barcodes)
+ * @returns { invoice, received }, each null when it didn't apply
+ */
+async function completeOrder(f, poLineNumber, polBody, used_profile, {
+    found = false
+} = {}) {
+    // The order encumbers its funds, so their cached balances are out of date
+    await invalidateCache("funds");
+    if (!poLineNumber) {
+        return {
+            invoice: null,
+            received: null
+        };
+    }
+
+    await recordOrder(Object.assign(historyEntryFromBody(poLineNumber, polBody, f), {
+        used_profile,
+        purchase_request_id: f.purchase_request_id || undefined
+    }));
+
+    const type = polBody?.type?.value;
+    const physical = /^(PRINT_|PHYSICAL_|PHYS_)/.test(String(type || "").toUpperCase());
+    const receive = f.receive && physical && !isRecurringPoType(type);
+    return {
+        invoice: f.prepaid ? await createPrepaidInvoice(f, poLineNumber, polBody) : null,
+        received: receive && found ? {
+            items: [],
+            error: "the line was found in Alma rather than created by this order"
+        } : receive ? await receiveOrderedItems(f, poLineNumber) : null
+    };
+}
+
+/**
+ * True for failures worth retrying later: no connection, rate limits (including the daily limit)
+ * and server errors such as Alma maintenance. A locked or missing key is for the user to fix, not to wait out.
+ * @param {*} e the error from almaRequest()
+ * @returns whether the order should go to the outbox
+ */
+function isTransientAlmaError(e) {
+    // Only errors from the request layer carry a status; anything else is a bug, not Alma being away
+    if (e?.code === "UNKNOWN_CODE" || e?.code === "FUND_SPLIT" || e?.code === "NO_API_KEY" || e?.status == null) return false;
+    const status = Number(e?.status) || 0;
+    return status === 0 || status === 429 || status >= 500;
+}
+
+/**
+ * True when a failed order may still have reached Alma: the connection dropped (status 0) or Alma answered
+ * with a server error, which can come after the line was created (almaRequest() doesn't retry writes on 5xx
+ * for the same reason)
+ * @param {*} e the error from submitPoLine()
+ * @returns whether the line may exist in Alma
+ */
+function mayHaveCreated(e) {
+    if (e?.status == null) return false;
+    const status = Number(e.status) || 0;
+    return status === 0 || status >= 500;
+}
+
+/**
+ * Short description of an Alma error for the outbox
+ * @param {*} e the error
+ * @returns the text
+ */
+function outboxErrorText(e) {
+    const status = Number(e?.status) || 0;
+    const detail = describeAlmaError(e).error.replace(/\s+/g, " ").slice(0, 200);
+    return status ? `${status}: ${detail}` : detail;
+}
+
+/**
+ * Replaces an entry (matched by id) in a list kept in chrome.storage.local, or adds it.
+ * Writes are queued like persistCacheEntry()'s, so two saves can't read the same list and lose one change.
+ * @param {*} key the storage key (ALMA_OUTBOX or ALMA_APPROVAL_QUEUE)
+ * @param {*} entry the updated entry
+ * @returns a promise resolving once written (rejecting if the write failed)
+ */
+function saveListEntry(key, entry) {
+    const write = QUEUE_WRITES.then(async () => {
+        const stored = (await chrome.storage.local.get([key]))[key];
+        const list = Array.isArray(stored) ? stored : [];
+        const i = list.findIndex(e => e.id === entry.id);
+        if (i >= 0) list[i] = entry;
+        else list.push(entry);
+        await chrome.storage.local.set({
+            [key]: list
+        });
+    });
+    QUEUE_WRITES = write.catch(() => {});
+    return write;
+}
+
+/**
+ * Reads the outbox (ALMA_OUTBOX)
+ * @returns the list of outbox entries
+ */
+async function readOutbox() {
+    const {
+        ALMA_OUTBOX
+    } = await chrome.storage.local.get(["ALMA_OUTBOX"]);
+    return Array.isArray(ALMA_OUTBOX) ? ALMA_OUTBOX : [];
+}
+
+/**
+ * Replaces an outbox entry (matched by id) with its new state
+ * @param {*} entry the updated entry
+ */
+function saveOutboxEntry(entry) {
+    return saveListEntry("ALMA_OUTBOX", entry);
+}
+
+/**
+ * Puts an order that failed for a transient reason in the outbox and makes sure the retry alarm is set
+ * @param {*} f the form data from the popup
+ * @param {*} e the error it failed with
+ * @param {*} startedAt when the failed attempt started (where to look for a line it may have created)
+ * @returns the outbox entry
+ */
+async function queueOrder(f, e, startedAt = Date.now()) {
+    const entry = {
+        id: `ob-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        title: f.title || "",
+        payload: f,
+        status: "pending",
+        attempts: 0,
+        created_at: Date.now(),
+        next_try_at: Date.now() + OUTBOX_RETRY_MINUTES * 60 * 1000,
+        last_error: outboxErrorText(e),
+        maybe_created: mayHaveCreated(e),
+        maybe_created_at: mayHaveCreated(e) ? startedAt : undefined
+    };
+    await saveOutboxEntry(entry);
+    chrome.alarms.create(OUTBOX_ALARM, {
+        periodInMinutes: OUTBOX_RETRY_MINUTES
+    });
+    console.warn("[Alma] Order queued in outbox:", entry.id, entry.last_error);
+    return entry;
+}
+
+/**
+ * Whether a PO line was created at or after a moment. Alma often gives the creation day only ("2024-05-01Z");
+ * such lines are compared by day. A minute's leeway covers the difference between this computer's clock and Alma's.
+ * @param {*} created the line's created_date
+ * @param {*} since the moment (timestamp)
+ * @returns true if the line is that new
+ */
+function createdSince(created, since) {
+    const text = String(created || "");
+    return /T\d/.test(text) ? Date.parse(text) >= since - 60 * 1000 :
+        text.slice(0, 10) >= new Date(since).toISOString().slice(0, 10);
+}
+
+/**
+ * Finds the line an earlier attempt at a queued order may have created (see mayHaveCreated()). A line only
+ * counts if it matches the order's title, vendor, price, quantity and funds and was created since that attempt,
+ * so a colleague's order for the same title isn't taken for this one. A purchase request's line is the one
+ * findRequestLine() identifies.
+ * Counts as essential, so the quota floor can't let a retry order the title twice.
+ * @param {*} entry the outbox or approval queue entry (payload; maybe_created_at: when the attempt started)
+ * @returns { line, similar }: the matching line from findOpenPoLines() or null, and the other lines for the
+ * same title created since, which may be this order's or someone else's
+ */
+async function findQueuedLine(entry) {
+    const f = entry.payload || {};
+    const body = preparePoLine(f).body;
+    const since = entry.maybe_created_at || entry.created_at;
+    if (f.purchase_request_id) {
+        const number = await findRequestLine(f.purchase_request_id, f.mms_id, since);
+        return {
+            line: number ? {
+                number
+            } : null,
+            similar: []
+        };
+    }
+    const funds = (body.fund_distribution || []).map(d => d?.fund_code?.value).filter(Boolean).sort().join("|");
+
+    const lines = (await findOpenPoLines(f, {
+        essential: true
+    })).filter(l => createdSince(l.created, since) && normalizeTitle(l.title) === normalizeTitle(f.title));
+    const line = lines.find(l =>
+        String(l.vendor_code).toUpperCase() === String(body.vendor?.value || "").toUpperCase() &&
+        Math.abs(l.price - (Number(body.price?.sum) || 0)) < 0.005 &&
+        l.quantity === (Number(body.quantity) || 1) &&
+        l.funds.slice().sort().join("|") === funds) || null;
+    return {
+        line,
+        similar: lines.filter(l => l !== line)
+    };
+}
+
+/**
+ * Finishes an order whose line turned up in Alma after the request for it failed or was cut off: a purchase
+ * request's line gets the form's details, then what submitPoLine() does after creating a line (items aren't received)
+ * @param {*} f the form data
+ * @param {*} poLineNumber the line found by findQueuedLine()
+ * @returns submitPoLine()'s result shape
+ */
+async function completeFoundOrder(f, poLineNumber) {
+    await loadOrderCodeTables();
+    const polBody = preparePoLine(f).body;
+    const requestError = f.purchase_request_id ? await applyFormToRequestLine(poLineNumber, polBody) : "";
+    return Object.assign({
+        po_line_number: poLineNumber,
+        purchase_request: f.purchase_request_id ? {
+            id: f.purchase_request_id,
+            approved: true,
+            error: requestError || undefined
+        } : null
+    }, await completeOrder(f, poLineNumber, polBody, "FOUND", {
+        found: true
+    }));
+}
+
+/**
+ * Sends the outbox orders that are due (or all pending ones when forced). Each failure backs off
+ * (5, 10, 20 … up to 60 minutes); permanent errors and orders that keep failing are marked failed with the reason.
+ * @param {*} force send every pending order now
+ */
+async function processOutbox(force = false) {
+    if (OUTBOX_RUNNING) return;
+    OUTBOX_RUNNING = true;
+    try {
+        // The alarm can wake a stopped worker without onInstalled/onStartup, leaving CONFIG at its defaults
+        await ensureConfigLoaded();
+        const due = (await readOutbox()).filter(e => e.status === "pending" && (force || e.next_try_at <= Date.now()));
+        for (const entry of due) {
+            entry.attempts++;
+            entry.last_try_at = Date.now();
+            try {
+                // Only an attempt that may have reached Alma can have left a line there
+                const {
+                    line: found,
+                    similar
+                } = entry.maybe_created ? await findQueuedLine(entry) : {
+                    line: null,
+                    similar: []
+                };
+                // Only this order's own line gets the invoice, receiving and history; a line that might be
+                // someone else's is left for a person to check rather than ordered again or completed
+                if (!found && similar.length) {
+                    Object.assign(entry, {
+                        status: "failed",
+                        needs_check: true,
+                        last_error: `This order may have reached Alma before the request failed, and ${similar.map(l => l.number).join(", ")} ` +
+                            `for the same title ${similar.length === 1 ? "was created since but doesn't" : "were created since but don't"} match it. ` +
+                            "Check Alma; if this order isn't there, Retry now sends it."
+                    });
+                    await saveOutboxEntry(entry);
+                    continue;
+                }
+                // A line found in Alma still needs what submitPoLine() does after creating one
+                const result = found ? await completeFoundOrder(entry.payload, found.number) : await submitPoLine(entry.payload);
+                Object.assign(entry, {
+                    status: "sent",
+                    po_line_number: result.po_line_number,
+                    purchase_request: result.purchase_request,
+                    invoice: result.invoice,
+                    received: result.received,
+                    sent_at: Date.now(),
+                    last_error: found ? "Found in Alma; it was created before the request failed." : ""
+                });
+                console.log("[Alma] Outbox order sent:", entry.id, result.po_line_number);
+            } catch (e) {
+                // Nothing can be sent until the key is unlocked: the orders wait, without using up their attempts
+                if (e?.code === "NO_API_KEY") {
+                    entry.attempts--;
+                    entry.last_error = describeAlmaError(e).error;
+                    await saveOutboxEntry(entry);
+                    break;
+                }
+                entry.last_error = outboxErrorText(e);
+                if (mayHaveCreated(e) && !entry.maybe_created) {
+                    entry.maybe_created = true;
+                    entry.maybe_created_at = entry.last_try_at;
+                }
+                if (!isTransientAlmaError(e)) {
+                    entry.status = "failed";
+                } else if (entry.attempts >= OUTBOX_MAX_ATTEMPTS) {
+                    entry.status = "failed";
+                    entry.last_error = `Gave up after ${entry.attempts} attempts. Last error ${entry.last_error}`;
+                } else {
+                    const minutes = Math.min(60, OUTBOX_RETRY_MINUTES * 2 ** (entry.attempts - 1));
+                    entry.next_try_at = Date.now() + minutes * 60 * 1000;
+                }
+            }
+            await saveOutboxEntry(entry);
+        }
+        if (!(await readOutbox()).some(e => e.status === "pending")) await chrome.alarms.clear(OUTBOX_ALARM);
+    } finally {
+        OUTBOX_RUNNING = false;
+    }
+}
+
+/**
+ * Whether an order has to wait for a supervisor: its total (price × quantity) is above ALMA_APPROVAL_THRESHOLD
+ * @param {*} f the form data
+ * @returns true if the order goes to the approval queue
+ */
+function needsApproval(f = {}) {
+    const limit = CONFIG.ALMA_APPROVAL_THRESHOLD;
+    if (limit == null || limit === "") return false;
+    const total = (Number(f.price) || 0) * Math.max(1, Number(f.quantity) || 1);
+    return total > Number(limit);
+}
+
+/**
+ * Reads the approval queue (ALMA_APPROVAL_QUEUE)
+ * @returns the list of queued orders
+ */
+async function readApprovals() {
+    const {
+        ALMA_APPROVAL_QUEUE
+    } = await chrome.storage.local.get(["ALMA_APPROVAL_QUEUE"]);
+    return Array.isArray(ALMA_APPROVAL_QUEUE) ? ALMA_APPROVAL_QUEUE : [];
+}
 
-    // Vendor routing (Amazon / AbeBooks / Kanopy)
-    if (f.supplier && f.supplier.trim()) {
-        const s = f.supplier.trim().toUpperCase();
+/**
+ * Replaces an approval queue entry (matched by id) with its new state
+ * @param {*} entry the updated entry
+ */
+function saveApproval(entry) {
+    return saveListEntry("ALMA_APPROVAL_QUEUE", entry);
+}
 
-        if (s.includes("AMAZON")) {
-            body.vendor = {
-                value: "AMAZON.COM",
-                desc: "Amazon.com, Inc."
-            };
-            body.vendor_account = "AMAZON.COM";
+/**
+ * Holds an order over the approval threshold until a supervisor approves it
+ * @param {*} f the form data from the popup
+ * @returns the queue entry
+ */
+async function queueForApproval(f) {
+    const body = mapToAlmaPOL(f);
+    const entry = {
+        id: `ap-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        title: f.title || "",
+        total: +((Number(f.price) || 0) * Math.max(1, Number(f.quantity) || 1)).toFixed(2),
+        currency: f.currency || "USD",
+        vendor: body.vendor?.desc || body.vendor?.value || f.supplier || "",
+        funds: (body.fund_distribution || []).map(d => d?.fund_code?.value).filter(Boolean),
+        payload: f,
+        status: "pending",
+        submitted_at: Date.now()
+    };
+    await saveApproval(entry);
+    console.log("[Alma] Order held for approval:", entry.id, entry.total, entry.currency);
+    return entry;
+}
 
-        } else if (s.includes("ABEBOOKS")) {
-            body.vendor = {
-                value: "ABEBOOKS.COM",
-                desc: "AbeBooks.com"
-            };
-            body.vendor_account = "ABEBOOKS.COM";
+/**
+ * Finds a pending approval queue entry for a supervisor decision. Approving and rejecting take the
+ * admin password from the options page, unless none has been set.
+ * @param {*} id the entry id
+ * @param {*} password the admin password
+ * @returns the entry; throws (status 403 for a wrong password, 404/409 for a missing or decided entry)
+ */
+async function pendingApproval(id, password) {
+    const check = await checkAdminPassword(password);
+    if (!check.ok && !check.unset) {
+        const err = new Error(check.error === "Wrong password." ? "Wrong supervisor (admin) password." : check.error);
+        err.status = 403;
+        err.code = "NOT_SUPERVISOR";
+        throw err;
+    }
+    const entry = (await readApprovals()).find(e => e.id === id);
+    if (!entry || entry.status !== "pending") {
+        const err = new Error(entry ? `This order was already ${entry.status}.` : "Order not found in the approval queue.");
+        err.status = entry ? 409 : 404;
+        throw err;
+    }
+    return entry;
+}
 
-        } else if (s.includes("KANOPY")) {
-            const VENDOR_CODE = "Kanopy";
-            const VENDOR_ACCOUNT = "Kanopy";
+/**
+ * Sends a held order to Alma on a supervisor's approval (optionally with the supervisor's edits).
+ * If Alma can't be reached it goes on to the outbox like any other order.
+ * @param {*} id the entry id
+ * @param {*} password the admin password
+ * @param {*} payload the edited form data, or nothing to send the order as submitted
+ * @returns submitPoLine()'s result plus the entry, or { queued, outbox_id, entry }
+ */
+async function approveQueuedOrder(id, password, payload) {
+    return withApprovalLock(id, async () => {
+        const entry = await pendingApproval(id, password);
+        const f = Object.assign({}, payload || entry.payload);
+        delete f.approval_id;
+        entry.payload = f;
+        entry.decided_at = Date.now();
+        // Saved before sending, so the entry can't be approved again even after this worker stops
+        // (recoverStuckApprovals() settles it if the worker stops mid-request)
+        entry.status = "sending";
+        entry.sending_at = Date.now();
+        delete entry.note;
+        await saveApproval(entry);
 
-            // Set vendor
-            body.vendor = {
-                value: VENDOR_CODE,
-                desc: "Kanopy LLC"
+        let result;
+        const started = Date.now();
+        try {
+            result = await submitPoLine(f);
+            Object.assign(entry, {
+                status: "approved",
+                po_line_number: result.po_line_number
+            });
+        } catch (e) {
+            if (!isTransientAlmaError(e)) {
+                // Alma refused it, so nothing was ordered: back to the queue to be fixed or rejected
+                entry.status = "pending";
+                delete entry.decided_at;
+                delete entry.sending_at;
+                await saveApproval(entry);
+                throw e;
+            }
+            const queued = await queueOrder(f, e, started);
+            Object.assign(entry, {
+                status: "approved",
+                outbox_id: queued.id
+            });
+            result = {
+                queued: true,
+                outbox_id: queued.id,
+                error: `Approved, but Alma couldn't be reached (${queued.last_error}). The order is in the outbox and will be sent automatically.`
             };
-            body.vendor_account = VENDOR_ACCOUNT;
+        }
+        await saveApproval(entry);
+        return Object.assign({
+            entry
+        }, result);
+    });
+}
 
-            body.acquisition_method = {
-                value: "VENDOR_SYSTEM"
-            };
+/**
+ * Runs an approve or reject on a held order while no other decision on it is running
+ * @param {*} id the entry id
+ * @param {*} fn the decision, an async function
+ * @returns what fn returns; throws 409 if the order is already being decided
+ */
+async function withApprovalLock(id, fn) {
+    if (APPROVALS_BUSY.has(id)) {
+        const err = new Error("This order is already being sent.");
+        err.status = 409;
+        throw err;
+    }
+    APPROVALS_BUSY.add(id);
+    try {
+        return await fn();
+    } finally {
+        APPROVALS_BUSY.delete(id);
+    }
+}
 
-            // Default to electronic one-time
-            if (!body.type?.value) {
-                body.type = {
-                    value: FALLBACK_E_ONE_TIME
-                };
-            }
-            if (!body.material_type?.value) {
-                body.material_type = {
-                    value: "STREAMING_VIDEO"
-                };
+/**
+ * Settles held orders left "sending" by a worker that stopped mid-request (for longer than
+ * APPROVAL_SENDING_STALE_MINUTES, and not being sent now): approved if their line is in Alma, otherwise back
+ * to pending for the supervisor, with a note when a line for the same title needs checking first.
+ * An order that can't be checked now (Alma unreachable) stays as it is until the next look.
+ * @returns the approval queue
+ */
+async function recoverStuckApprovals() {
+    const stale = Date.now() - APPROVAL_SENDING_STALE_MINUTES * 60 * 1000;
+    const stuck = (await readApprovals()).filter(e => e.status === "sending" && (e.sending_at || 0) < stale && !APPROVALS_BUSY.has(e.id));
+    for (const entry of stuck) {
+        await withApprovalLock(entry.id, async () => {
+            const {
+                line,
+                similar
+            } = await findQueuedLine({
+                payload: entry.payload,
+                maybe_created_at: entry.sending_at || entry.decided_at || entry.submitted_at
+            });
+            if (line) {
+                const result = await completeFoundOrder(entry.payload, line.number);
+                Object.assign(entry, {
+                    status: "approved",
+                    po_line_number: result.po_line_number,
+                    note: "Sending was cut off, but the line was found in Alma."
+                });
+            } else {
+                entry.status = "pending";
+                delete entry.decided_at;
+                delete entry.sending_at;
+                entry.note = similar.length ?
+                    `Sending was cut off. ${similar.map(l => l.number).join(", ")} for the same title ` +
+                    `${similar.length === 1 ? "was" : "were"} created since; check Alma before approving again.` :
+                    "Sending was cut off before Alma created the line; approve it again.";
             }
-        }
+            await saveApproval(entry);
+        }).catch((e) => console.warn("[Alma] Couldn't check interrupted approval", entry.id, e.status, e.message));
     }
-    // Clean undefined
-    Object.keys(body).forEach((k) => body[k] === undefined && delete body[k]);
-    return body;
+    return readApprovals();
 }
 
+/**
+ * Turns down a held order; it stays in the queue with the reason so the person who submitted it can see why
+ * @param {*} id the entry id
+ * @param {*} password the admin password
+ * @param {*} reason why it was rejected
+ * @returns the entry
+ */
+async function rejectQueuedOrder(id, password, reason) {
+    return withApprovalLock(id, async () => {
+        const entry = await pendingApproval(id, password);
+        Object.assign(entry, {
+            status: "rejected",
+            reason: String(reason || "").trim(),
+            decided_at: Date.now()
+        });
+        await saveApproval(entry);
+        return entry;
+    });
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === OUTBOX_ALARM) processOutbox();
+});
+chrome.runtime.onStartup.addListener(() => processOutbox());
+
 /**
  * Message Handling
  */
@@ -538,83 +3068,27 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             // Attempts to decrypt Alma key, if user has permission (i.e. input the correct password)
             if (request?.type === "UNLOCK_ALMA_KEY") {
                 try {
-                    const {
-                        ALMA_KEK_B64,
-                        ALMA_PW_SALT,
-                        ALMA_KDF_ITERS,
-                        ALMA_API_KEY_C,
-                        ALMA_API_KEY_IV
-                    } =
-                    await chrome.storage.local.get([
-                        "ALMA_KEK_B64", "ALMA_PW_SALT", "ALMA_KDF_ITERS",
-                        "ALMA_API_KEY_C", "ALMA_API_KEY_IV"
-                    ]);
-
-                    const hasK = !!ALMA_KEK_B64,
-                        hasS = !!ALMA_PW_SALT,
-                        hasI = !!ALMA_KDF_ITERS;
-                    if (!hasK && !hasS && !hasI) {
-                        sendResponse({
-                            ok: false,
-                            error: "No password set. Click Set Password first."
-                        });
-                        return;
-                    }
-                    if (hasK && (!hasS || !hasI)) {
+                    const check = await checkAdminPassword(request.password);
+                    if (!check.ok) {
                         sendResponse({
                             ok: false,
-                            error: "Password setting incomplete. Click Set Password to repair."
-                        });
-                        return;
-                    }
-
-                    const ub64 = (s) => {
-                        s = String(s || "").replace(/-/g, "+").replace(/_/g, "/");
-                        while (s.length % 4) s += "=";
-                        const b = atob(s),
-                            u = new Uint8Array(b.length);
-                        for (let i = 0; i < b.length; i++) u[i] = b.charCodeAt(i);
-                        return u;
-                    };
-                    const salt = ub64(ALMA_PW_SALT);
-                    const iters = Number(ALMA_KDF_ITERS || 200000);
-
-                    const base = await crypto.subtle.importKey("raw", new TextEncoder().encode(request.password || ""), {
-                        name: "PBKDF2"
-                    }, false, ["deriveKey"]);
-                    const key = await crypto.subtle.deriveKey({
-                        name: "PBKDF2",
-                        salt,
-                        iterations: iters,
-                        hash: "SHA-256"
-                    }, base, {
-                        name: "AES-GCM",
-                        length: 256
-                    }, true, ["encrypt", "decrypt"]);
-                    const raw = new Uint8Array(await crypto.subtle.exportKey("raw", key));
-
-                    // Verify password matches stored KEK
-                    const toB64u = (u8) => {
-                        let s = "";
-                        for (let i = 0; i < u8.length; i++) s += String.fromCharCode(u8[i]);
-                        return btoa(s).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
-                    };
-                    if (toB64u(raw) !== ALMA_KEK_B64) {
-                        sendResponse({
-                            ok: false,
-                            error: "Wrong password."
+                            error: check.error
                         });
                         return;
                     }
 
                     // If an encrypted key is stored, decrypt to memory
+                    const {
+                        ALMA_API_KEY_C,
+                        ALMA_API_KEY_IV
+                    } = await chrome.storage.local.get(["ALMA_API_KEY_C", "ALMA_API_KEY_IV"]);
                     if (ALMA_API_KEY_C && ALMA_API_KEY_IV) {
                         const iv = ub64(ALMA_API_KEY_IV);
                         const ct = ub64(ALMA_API_KEY_C);
                         const buf = await crypto.subtle.decrypt({
                             name: "AES-GCM",
                             iv
-                        }, key, ct);
+                        }, check.key, ct);
                         CONFIG.ALMA_API_KEY = new TextDecoder().decode(buf);
                     }
                     sendResponse({
@@ -630,6 +3104,74 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                 return;
             }
 
+            // Environments (production, sandbox, ...) for the popup switcher and options page
+            if (request?.type === "GET_ENVIRONMENTS") {
+                const state = await getEnvironments();
+                sendResponse({
+                    ok: true,
+                    environments: shapeEnvironments(state),
+                    active: state.active
+                });
+                return;
+            }
+
+            if (request?.type === "SWITCH_ENVIRONMENT") {
+                const state = await switchEnvironment(String(request.id || ""));
+                sendResponse({
+                    ok: true,
+                    environments: shapeEnvironments(state),
+                    active: state.active
+                });
+                return;
+            }
+
+            // New environment starts as a sandbox copy of the current non-secret settings (no key, no history)
+            if (request?.type === "CREATE_ENVIRONMENT") {
+                const state = await getEnvironments();
+                const id = `env-${Date.now().toString(36)}`;
+                const copy = await chrome.storage.local.get(["ALMA_INSTITUTION", "ALMA_REGION", "ALMA_DOMAIN",
+                    "ALMA_ORDER_PROFILES", "ALMA_VENDOR_MAP", "ALMA_LOCATION_DEFAULTS", "ALMA_FUND_BALANCE_MODE",
+                    "ALMA_QUOTA_FLOOR", "ALMA_BIB_MODE", "ALMA_APPROVAL_THRESHOLD", "ALMA_KANOPY_LICENSES"
+                ]);
+                state.envs[id] = {
+                    name: String(request.name || "").trim() || "Sandbox",
+                    sandbox: request.sandbox !== false,
+                    settings: copy
+                };
+                await chrome.storage.local.set({
+                    ALMA_ENVIRONMENTS: state.envs
+                });
+                const next = await switchEnvironment(id);
+                sendResponse({
+                    ok: true,
+                    environments: shapeEnvironments(next),
+                    active: next.active
+                });
+                return;
+            }
+
+            if (request?.type === "DELETE_ENVIRONMENT") {
+                const state = await getEnvironments();
+                const id = String(request.id || "");
+                if (id === state.active || !state.envs[id]) {
+                    sendResponse({
+                        ok: false,
+                        error: id === state.active ? "Switch to another environment before deleting this one." : "Unknown environment."
+                    });
+                    return;
+                }
+                delete state.envs[id];
+                await chrome.storage.local.set({
+                    ALMA_ENVIRONMENTS: state.envs
+                });
+                sendResponse({
+                    ok: true,
+                    environments: shapeEnvironments(state),
+                    active: state.active
+                });
+                return;
+            }
+
             // Make key visible in options page
             if (request?.type === "REVEAL_ALMA_KEY") {
                 if (!CONFIG.ALMA_API_KEY) await tryAutoUnlockFromKEK();
@@ -687,19 +3229,33 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                 return;
             }
 
-            // Get funds list from Alma and sort them
+            // Get funds list (full view, for balances) from Alma and sort them
             if (request?.type === "GET_FUNDS") {
-                const list = await almaGetAll("acq/funds", [
-                    ["funds", "fund"],
-                    ["fund"]
+                sendResponse({
+                    funds: await getFunds()
+                });
+                return;
+            }
+
+            // Drops all cached Alma data and loads the common lists again (options "Refresh Alma data")
+            if (request?.type === "REFRESH_ALMA_DATA") {
+                await invalidateCache();
+                const [funds, reporting, types, materials, libraries] = await Promise.all([
+                    getFunds(),
+                    getCodeTable(REPORTING_CODE_TABLE),
+                    getCodeTable(PO_LINE_TYPE_TABLE).catch(() => []),
+                    getCodeTable(MATERIAL_TYPE_TABLE).catch(() => []),
+                    getLibraries().catch(() => [])
                 ]);
-                list.sort((a, b) => String(a.code).localeCompare(String(b.code)));
-                const funds = list.map(f => ({
-                    code: f.code,
-                    name: f.name
-                }));
                 sendResponse({
-                    funds
+                    ok: true,
+                    counts: {
+                        funds: funds.length,
+                        reporting_codes: reporting.length,
+                        po_line_types: types.length,
+                        material_types: materials.length,
+                        libraries: libraries.length
+                    }
                 });
                 return;
             }
@@ -708,79 +3264,254 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             if (request?.type === "GET_REPORTING_CODES") {
                 (async () => {
                     try {
-                        const primaryName = "HFundsTransactionItem.reportingCode";
-                        const normalizeRows = (data) => {
-                            const ct = data?.code_table || data;
-                            let rows = [];
-                            if (Array.isArray(ct?.row)) rows = ct.row;
-                            else if (Array.isArray(ct?.rows?.row)) rows = ct.rows.row;
-                            else if (Array.isArray(data?.row)) rows = data.row;
-                            const enabled = (rows || []).filter(r => {
-                                const e = r?.enabled;
-                                const s = r?.status ?? r?.active;
-                                if (typeof e === "boolean") return e;
-                                if (typeof s === "boolean") return s;
-                                if (typeof s === "string") return /active|enabled/i.test(s);
-                                return true;
-                            });
-                            enabled.sort((a, b) => {
-                                const pa = Number(a?.position ?? a?.order ?? 1e9);
-                                const pb = Number(b?.position ?? b?.order ?? 1e9);
-                                if (pa !== pb) return pa - pb;
-                                const da = String(a?.description ?? "");
-                                const db = String(b?.description ?? "");
-                                if (da && db && da !== db) return da.localeCompare(db);
-                                const ca = String(a?.code ?? a?.value ?? a?.name ?? "");
-                                const cb = String(b?.code ?? b?.value ?? b?.name ?? "");
-                                return ca.localeCompare(cb);
-                            });
-                            return enabled.map(r => ({
-                                code: r?.code ?? r?.value ?? r?.name ?? "",
-                                description: r?.description ?? ""
-                            })).filter(x => x.code);
-                        };
-                        let data, rows;
-                        try {
-                            data = await almaGet(`conf/code-tables/${encodeURIComponent(primaryName)}`, {
-                                format: "json"
-                            });
-                            rows = normalizeRows(data);
-                        } catch (_) {
-                            const list = await almaGet("conf/code-tables", {
-                                scope: "INSTITUTION",
-                                limit: "500",
-                                format: "json"
-                            });
-                            const tables = list?.code_tables?.code_table || [];
-                            const hit = tables.find(t => (t?.name || t?.code) === primaryName);
-                            if (!hit?.link) {
-                                return sendResponse({
-                                    reportingCodes: [],
-                                    error: "Code table not found: HFundsTransactionItem.reportingCode"
-                                });
-                            }
-                            const rel = hit.link.replace(/^https?:\/\/[^/]+\/almaws\/v1\//, "");
-                            data = await almaGet(rel, {
-                                format: "json",
-                                scope: "INSTITUTION"
+                        const rows = await getCodeTable(REPORTING_CODE_TABLE);
+                        if (!rows?.length) {
+                            return sendResponse({
+                                reportingCodes: [],
+                                error: "Reporting code table is empty or inaccessible."
+                            });
+                        }
+                        sendResponse({
+                            reportingCodes: rows,
+                            table: REPORTING_CODE_TABLE,
+                            how: "direct"
+                        });
+                    } catch (e) {
+                        console.error("[Alma] GET_REPORTING_CODES error:", e);
+                        sendResponse({
+                            reportingCodes: [],
+                            error: e.message,
+                            status: e.status,
+                            detail: e.body
+                        });
+                    }
+                })();
+                return true;
+            }
+
+            // PO line types (acquisition purchase types), material types, access models and cancellation reasons
+            // from Alma code tables
+            if (request?.type === "GET_PO_LINE_TYPES" || request?.type === "GET_MATERIAL_TYPES" ||
+                request?.type === "GET_ACCESS_MODELS" || request?.type === "GET_CANCEL_REASONS") {
+                (async () => {
+                    const table = {
+                        GET_PO_LINE_TYPES: PO_LINE_TYPE_TABLE,
+                        GET_MATERIAL_TYPES: MATERIAL_TYPE_TABLE,
+                        GET_ACCESS_MODELS: ACCESS_MODEL_TABLE,
+                        GET_CANCEL_REASONS: CANCEL_REASON_TABLE
+                    }[request.type];
+                    try {
+                        const rows = await getCodeTable(table);
+                        sendResponse({
+                            ok: rows.length > 0,
+                            codes: rows,
+                            table,
+                            error: rows.length ? undefined : `Code table ${table} is empty or inaccessible.`
+                        });
+                    } catch (e) {
+                        console.error(`[Alma] ${request.type} error:`, e);
+                        sendResponse({
+                            ok: false,
+                            codes: [],
+                            table,
+                            error: e.message,
+                            status: e.status,
+                            detail: e.body
+                        });
+                    }
+                })();
+                return true;
+            }
+
+            // Libraries for the owner/location pickers
+            if (request?.type === "GET_LIBRARIES") {
+                (async () => {
+                    try {
+                        sendResponse({
+                            ok: true,
+                            libraries: await getLibraries()
+                        });
+                    } catch (e) {
+                        console.error("[Alma] GET_LIBRARIES error:", e);
+                        sendResponse({
+                            ok: false,
+                            libraries: [],
+                            error: e.message,
+                            status: e.status,
+                            detail: e.body
+                        });
+                    }
+                })();
+                return true;
+            }
+
+            // Shelving locations of one library
+            if (request?.type === "GET_LOCATIONS") {
+                (async () => {
+                    try {
+                        const library = String(request.library || "").trim();
+                        if (!library) {
+                            return sendResponse({
+                                ok: false,
+                                locations: [],
+                                error: "missing library"
+                            });
+                        }
+                        sendResponse({
+                            ok: true,
+                            locations: await getLocations(library)
+                        });
+                    } catch (e) {
+                        console.error("[Alma] GET_LOCATIONS error:", e);
+                        sendResponse({
+                            ok: false,
+                            locations: [],
+                            error: e.message,
+                            status: e.status,
+                            detail: e.body
+                        });
+                    }
+                })();
+                return true;
+            }
+
+            // Searches active Alma vendors by name/code for the vendor pickers
+            if (request?.type === "SEARCH_VENDORS") {
+                (async () => {
+                    try {
+                        const term = String(request.term || "").trim();
+                        const page = Math.max(1, Number(request.page || 1));
+                        const limit = Math.min(50, Math.max(10, Number(request.limit || 20)));
+                        if (term.length < 2) {
+                            return sendResponse({
+                                ok: true,
+                                vendors: [],
+                                more: false
+                            });
+                        }
+                        const data = await almaGet("acq/vendors", {
+                            q: `all~${term}`,
+                            status: "active",
+                            limit: String(limit),
+                            offset: String((page - 1) * limit)
+                        }, {
+                            essential: false
+                        });
+                        const arr = Array.isArray(data?.vendor) ? data.vendor : data?.vendor ? [data.vendor] : [];
+                        const total = Number(data?.total_record_count || 0);
+                        sendResponse({
+                            ok: true,
+                            vendors: arr.map(shapeVendor).filter(v => v.code),
+                            more: total ? page * limit < total : arr.length === limit
+                        });
+                    } catch (e) {
+                        console.error("[Alma] SEARCH_VENDORS error:", e);
+                        sendResponse({
+                            ok: false,
+                            vendors: [],
+                            error: e.message,
+                            status: e.status,
+                            detail: e.body
+                        });
+                    }
+                })();
+                return true;
+            }
+
+            // Searches Alma licenses for the popup's license picker (any status, so expired ones show as such)
+            if (request?.type === "SEARCH_LICENSES") {
+                (async () => {
+                    try {
+                        const term = String(request.term || "").trim();
+                        const page = Math.max(1, Number(request.page || 1));
+                        const limit = Math.min(50, Math.max(10, Number(request.limit || 20)));
+                        if (term.length < 2) {
+                            return sendResponse({
+                                ok: true,
+                                licenses: [],
+                                more: false
+                            });
+                        }
+                        const data = await almaGet("acq/licenses", {
+                            q: `all~${term}`,
+                            limit: String(limit),
+                            offset: String((page - 1) * limit)
+                        }, {
+                            essential: false
+                        });
+                        const arr = Array.isArray(data?.license) ? data.license : data?.license ? [data.license] : [];
+                        const total = Number(data?.total_record_count || 0);
+                        sendResponse({
+                            ok: true,
+                            licenses: arr.map(shapeLicense).filter(l => l.code),
+                            more: total ? page * limit < total : arr.length === limit
+                        });
+                    } catch (e) {
+                        console.error("[Alma] SEARCH_LICENSES error:", e);
+                        sendResponse(Object.assign({
+                            ok: false,
+                            licenses: [],
+                            status: e.status,
+                            detail: e.body
+                        }, describeAlmaError(e)));
+                    }
+                })();
+                return true;
+            }
+
+            // Gets one license with its status and term (a Kanopy default, or one chosen earlier)
+            if (request?.type === "GET_LICENSE") {
+                (async () => {
+                    try {
+                        const code = String(request.code || "").trim();
+                        if (!code) {
+                            return sendResponse({
+                                ok: false,
+                                status: 400,
+                                error: "missing license code"
                             });
-                            rows = normalizeRows(data);
                         }
-                        if (!rows?.length) {
+                        const license = await cachedConf(`license:${code}`, async () =>
+                            shapeLicense(await almaGet(`acq/licenses/${encodeURIComponent(code)}`, {}, {
+                                essential: false
+                            })));
+                        sendResponse({
+                            ok: true,
+                            license
+                        });
+                    } catch (e) {
+                        console.error("[Alma] GET_LICENSE error:", e);
+                        sendResponse(Object.assign({
+                            ok: false,
+                            status: e.status,
+                            detail: e.body
+                        }, describeAlmaError(e)));
+                    }
+                })();
+                return true;
+            }
+
+            // Gets one vendor with its accounts and status (used to validate a picked vendor)
+            if (request?.type === "GET_VENDOR") {
+                (async () => {
+                    try {
+                        const code = String(request.code || "").trim();
+                        if (!code) {
                             return sendResponse({
-                                reportingCodes: [],
-                                error: "Reporting code table is empty or inaccessible."
+                                ok: false,
+                                status: 400,
+                                error: "missing vendor code"
                             });
                         }
+                        const vendor = await cachedConf(`vendor:${code}`, async () =>
+                            shapeVendor(await almaGet(`acq/vendors/${encodeURIComponent(code)}`)));
                         sendResponse({
-                            reportingCodes: rows,
-                            table: primaryName,
-                            how: "direct"
+                            ok: true,
+                            vendor
                         });
                     } catch (e) {
-                        console.error("[Alma] GET_REPORTING_CODES error:", e);
                         sendResponse({
-                            reportingCodes: [],
+                            ok: false,
                             error: e.message,
                             status: e.status,
                             detail: e.body
@@ -790,6 +3521,18 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                 return true;
             }
 
+            // The vendor a supplier would be routed to without an override (popup's initial vendor guess)
+            if (request?.type === "RESOLVE_VENDOR") {
+                const supplier = String(request.supplier || "");
+                sendResponse({
+                    ok: true,
+                    route: resolveVendorRoute({
+                        supplier
+                    }, AlmaVendors.bySupplier(supplier))
+                });
+                return;
+            }
+
             // Searches Alma for input users, allowing for multiple search patterns, with pagination and fallbacks
             if (request?.type === "SEARCH_USERS") {
                 (async () => {
@@ -945,7 +3688,9 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                                     } :
                                     p;
 
-                                raw = await almaGet("users", params);
+                                raw = await almaGet("users", params, {
+                                    essential: false
+                                });
                                 arr = extract(raw);
                                 how = attempt.how;
                                 tried.push({
@@ -1062,17 +3807,19 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             if (request?.type === "GET_NEW_ORDER_PROFILES") {
                 (async () => {
                     try {
-                        const data = await almaGet("conf/integration-profiles", {
-                            type: "NEW_ORDER_API",
-                            format: "json"
+                        const profiles = await cachedConf("profiles", async () => {
+                            const data = await almaGet("conf/integration-profiles", {
+                                type: "NEW_ORDER_API",
+                                format: "json"
+                            });
+                            const arr = Array.isArray(data?.integration_profile) ? data.integration_profile :
+                                Array.isArray(data?.integration_profiles?.integration_profile) ? data.integration_profiles.integration_profile : [];
+                            return arr.map(p => ({
+                                code: p?.code || p?.name || "",
+                                name: p?.name || p?.code || "",
+                                is_default: !!p?.is_default
+                            })).filter(x => x.code);
                         });
-                        const arr = Array.isArray(data?.integration_profile) ? data.integration_profile :
-                            Array.isArray(data?.integration_profiles?.integration_profile) ? data.integration_profiles.integration_profile : [];
-                        const profiles = arr.map(p => ({
-                            code: p?.code || p?.name || "",
-                            name: p?.name || p?.code || "",
-                            is_default: !!p?.is_default
-                        })).filter(x => x.code);
                         sendResponse({
                             ok: true,
                             profiles
@@ -1089,119 +3836,428 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                 return true;
             }
 
-            // Creating PO Line
+            // Looks for existing bibs/holdings for the title before a PO line is created
+            if (request?.type === "FIND_DUPLICATES") {
+                (async () => {
+                    try {
+                        const result = await findExistingBibs(request.payload || {});
+                        sendResponse(Object.assign({
+                            ok: true
+                        }, result));
+                    } catch (e) {
+                        console.error("[Alma] FIND_DUPLICATES error:", e);
+                        sendResponse({
+                            ok: false,
+                            matches: [],
+                            error: e.message,
+                            status: e.status,
+                            detail: e.body
+                        });
+                    }
+                })();
+                return true;
+            }
 
-            /**
-             * This is how we create and send the PO line
-             * We build the Alma POL JSON body with mapToAlmaPOL(), decide routing based on whether the item is electronic
-             * or physical, and return which path succeeded
-             */
-            if (request?.type === "CREATE_PO_LINE") {
+            // Pending purchase requests for the popup's request list
+            if (request?.type === "GET_PURCHASE_REQUESTS") {
                 (async () => {
                     try {
-                        if (!CONFIG.ALMA_API_KEY) {
+                        sendResponse({
+                            ok: true,
+                            requests: await listPurchaseRequests()
+                        });
+                    } catch (e) {
+                        console.error("[Alma] GET_PURCHASE_REQUESTS error:", e);
+                        sendResponse(Object.assign({
+                            ok: false,
+                            requests: [],
+                            status: e.status,
+                            detail: e.body
+                        }, describeAlmaError(e)));
+                    }
+                })();
+                return true;
+            }
+
+            // Looks for PO lines already on order for the title
+            if (request?.type === "FIND_OPEN_PO_LINES") {
+                (async () => {
+                    try {
+                        const lines = await findOpenPoLines(request.payload || {});
+                        sendResponse({
+                            ok: true,
+                            lines
+                        });
+                    } catch (e) {
+                        console.error("[Alma] FIND_OPEN_PO_LINES error:", e);
+                        sendResponse({
+                            ok: false,
+                            lines: [],
+                            error: e.message,
+                            status: e.status,
+                            detail: e.body
+                        });
+                    }
+                })();
+                return true;
+            }
+
+            // Fetches a PO line's current status from Alma and stores it on its history entry
+            if (request?.type === "REFRESH_ORDER_STATUS") {
+                (async () => {
+                    try {
+                        const number = String(request.number || "").trim();
+                        if (!number) {
                             return sendResponse({
                                 ok: false,
-                                error: "Missing API key.",
-                                code: "NO_API_KEY"
+                                status: 400,
+                                error: "missing PO line number"
                             });
                         }
+                        const pol = await almaGet(`acq/po-lines/${encodeURIComponent(number)}`, {}, {
+                            essential: false
+                        });
+                        const entry = await updateOrder(number, poLineStatus(pol));
+                        sendResponse({
+                            ok: true,
+                            entry: entry || Object.assign({
+                                number
+                            }, poLineStatus(pol))
+                        });
+                    } catch (e) {
+                        console.error("[Alma] REFRESH_ORDER_STATUS error:", e);
+                        sendResponse({
+                            ok: false,
+                            error: e.message,
+                            status: e.status,
+                            detail: e.body
+                        });
+                    }
+                })();
+                return true;
+            }
 
-                        // Builds final POL body from the payload
-                        const f = request.payload || {};
-                        const polBody = mapToAlmaPOL(f);
-                        console.log("[Alma] POL body", JSON.stringify(polBody, null, 2));
-
-                        // Decide by the *final* type on the body (what Alma will actually see)
-                        const t = String(polBody?.type?.value || "").toUpperCase();
-                        const isElectronic = t.startsWith("E");
+            // Reads a PO line back as form fields for editing
+            if (request?.type === "GET_PO_LINE") {
+                (async () => {
+                    try {
+                        const number = String(request.number || "").trim();
+                        if (!number) {
+                            return sendResponse({
+                                ok: false,
+                                status: 400,
+                                error: "missing PO line number"
+                            });
+                        }
+                        const pol = await almaGet(`acq/po-lines/${encodeURIComponent(number)}`);
+                        await updateOrder(number, poLineStatus(pol));
+                        sendResponse({
+                            ok: true,
+                            form: formFromPoLine(pol),
+                            open: isOpenPoLine(pol),
+                            status: poLineStatus(pol)
+                        });
+                    } catch (e) {
+                        console.error("[Alma] GET_PO_LINE error:", e);
+                        sendResponse({
+                            ok: false,
+                            error: e.message,
+                            status: e.status,
+                            detail: e.body
+                        });
+                    }
+                })();
+                return true;
+            }
 
-                        // Safety: e-lines must not carry a physical location block
-                        if (isElectronic && polBody.location) delete polBody.location;
+            // Amends an open PO line (price, quantity/locations, funds, reporting code, receiving note)
+            if (request?.type === "UPDATE_PO_LINE") {
+                (async () => {
+                    try {
+                        const number = String(request.number || "").trim();
+                        const f = request.payload || {};
+                        if (!number) {
+                            return sendResponse({
+                                ok: false,
+                                status: 400,
+                                error: "missing PO line number"
+                            });
+                        }
+                        const pol = await almaGet(`acq/po-lines/${encodeURIComponent(number)}`);
+                        if (!isOpenPoLine(pol)) {
+                            return sendResponse({
+                                ok: false,
+                                error: `PO line ${number} is ${pol?.status?.desc || pol?.status?.value} and can't be edited.`,
+                                code: "NOT_EDITABLE"
+                            });
+                        }
 
-                        const preferred = (CONFIG.ALMA_NEW_ORDER_PROFILE || "ORDER_IT_API_PROFILE").trim();
-                        const alternate = preferred === "GOBI" ? "ORDER_IT_API_PROFILE" : "GOBI";
+                        // Type, material and vendor can't change once the line exists; map with the line's own
+                        const body = mapToAlmaPOL(Object.assign({}, f, {
+                            po_line_type: pol?.type?.value,
+                            material_type: pol?.material_type?.value,
+                            owner: pol?.owner?.value || f.owner
+                        }));
+                        // The same checks as a new line; what the line already encumbers is freed by the change
+                        await checkOrderBody(body, formFromPoLine(pol).encumbered);
+                        const saved = await almaPut(`acq/po-lines/${encodeURIComponent(number)}`, applyPoLineEdits(pol, body), {
+                            update_inventory: true
+                        });
 
-                        let resp, used_profile = "DIRECT";
+                        await invalidateCache("funds");
+                        const e = historyEntryFromBody(number, body, f);
+                        const entry = await updateOrder(number, Object.assign({
+                            funds: e.funds,
+                            price: e.price,
+                            quantity: e.quantity,
+                            amended_at: Date.now()
+                        }, poLineStatus(saved?.number ? saved : pol)));
+                        sendResponse({
+                            ok: true,
+                            po_line_number: number,
+                            entry,
+                            raw: saved
+                        });
+                    } catch (e) {
+                        console.error("[Alma] UPDATE_PO_LINE error:", e);
+                        sendResponse(Object.assign({
+                            ok: false,
+                            status: e.status,
+                            code: e.code,
+                            detail: e.body
+                        }, describeAlmaError(e)));
+                    }
+                })();
+                return true;
+            }
 
-                        if (isElectronic) {
-                            // Electronic lines should go direct
-                            console.log("[Alma] POST (electronic) → direct");
-                            resp = await almaPost("acq/po-lines", polBody);
+            // Cancels a PO line with a reason from Alma's cancellation reasons code table
+            if (request?.type === "CANCEL_PO_LINE") {
+                (async () => {
+                    try {
+                        const number = String(request.number || "").trim();
+                        const reason = String(request.reason || "").trim();
+                        if (!number || !reason) {
+                            return sendResponse({
+                                ok: false,
+                                status: 400,
+                                error: !number ? "missing PO line number" : "missing cancellation reason"
+                            });
+                        }
+                        await almaDelete(`acq/po-lines/${encodeURIComponent(number)}`, {
+                            reason,
+                            comment: request.comment || undefined,
+                            inform_vendor: !!request.inform_vendor
+                        });
+                        await invalidateCache("funds");
+                        const entry = await updateOrder(number, {
+                            status: "Cancelled",
+                            status_code: "CANCELLED",
+                            receiving: "",
+                            expected_date: "",
+                            cancel_reason: reason,
+                            checked_at: Date.now()
+                        });
+                        sendResponse({
+                            ok: true,
+                            entry
+                        });
+                    } catch (e) {
+                        console.error("[Alma] CANCEL_PO_LINE error:", e);
+                        sendResponse(Object.assign({
+                            ok: false,
+                            status: e.status,
+                            detail: e.body
+                        }, describeAlmaError(e)));
+                    }
+                })();
+                return true;
+            }
 
-                        } else {
-                            // Physical/default: try preferred profile, then alternate, then direct
-                            console.log("[Alma] POST (preferred) →", preferred);
-                            try {
-                                resp = await almaPost("acq/po-lines", polBody, {
-                                    profile: preferred,
-                                    integration_profile: preferred
-                                });
-                                used_profile = preferred;
-
-                            } catch (e1) {
-                                const msg = String(e1?.body || e1?.message || "");
-                                const status = e1?.status || 0;
-
-                                const isMultiProfiles =
-                                    msg.includes("40188610") ||
-                                    /More than one New Order API integration profiles/i.test(msg);
-
-                                const isIllegalOr400 =
-                                    status === 400 || /401872|illegal|BAD_REQUEST|400/gi.test(msg);
-
-                                if (isMultiProfiles) {
-                                    console.warn("[Alma] 40188610 on", preferred, "— retrying with", alternate);
-                                    try {
-                                        resp = await almaPost("acq/po-lines", polBody, {
-                                            profile: alternate,
-                                            integration_profile: alternate
-                                        });
-                                        used_profile = alternate;
-                                    } catch (e2) {
-                                        console.error("[Alma] CREATE_PO_LINE failed (alternate):", e2);
-                                        return sendResponse({
-                                            ok: false,
-                                            error: e2.body || e2.message || "Unknown error",
-                                            status: e2.status || 0,
-                                            tried: [preferred, alternate]
-                                        });
-                                    }
-
-                                } else if (isIllegalOr400) {
-                                    console.warn("[Alma] Preferred route rejected (", msg, "). Retrying direct…");
-                                    resp = await almaPost("acq/po-lines", polBody);
-                                    used_profile = "DIRECT";
-
-                                } else {
-                                    console.error("[Alma] CREATE_PO_LINE failed (preferred):", e1);
-                                    return sendResponse({
-                                        ok: false,
-                                        error: e1.body || e1.message || "Unknown error",
-                                        status: status,
-                                        tried: [preferred]
-                                    });
+            // Sends outbox orders now: one (failed ones go back to pending) or every pending one
+            if (request?.type === "RETRY_OUTBOX") {
+                (async () => {
+                    try {
+                        if (request.id) {
+                            const entry = (await readOutbox()).find(e => e.id === request.id);
+                            if (entry && entry.status !== "sent") {
+                                // Retrying an order left for checking means it was checked in Alma and isn't there
+                                if (entry.needs_check) {
+                                    entry.maybe_created = false;
+                                    delete entry.needs_check;
                                 }
+                                Object.assign(entry, {
+                                    status: "pending",
+                                    attempts: entry.status === "failed" ? 0 : entry.attempts,
+                                    next_try_at: 0
+                                });
+                                await saveOutboxEntry(entry);
                             }
                         }
-
-                        const poLineNumber =
-                            resp?.number || resp?.po_line_number || resp?.po_line?.po_line_number || null;
-
-                        return sendResponse({
+                        await processOutbox(!request.id);
+                        sendResponse({
                             ok: true,
-                            po_line_number: poLineNumber,
-                            raw: resp,
-                            used_profile
+                            outbox: await readOutbox()
                         });
-
-                    } catch (outer) {
-                        console.error("[Alma] CREATE_PO_LINE failed (outer):", outer);
+                    } catch (e) {
+                        console.error("[Alma] RETRY_OUTBOX error:", e);
                         sendResponse({
                             ok: false,
-                            error: outer?.body || outer?.message || "Unknown error",
-                            status: outer?.status || 0
+                            error: e.message
+                        });
+                    }
+                })();
+                return true;
+            }
+
+            // Settles held orders cut off while sending, before the options page or popup shows the queue
+            if (request?.type === "CHECK_APPROVALS") {
+                (async () => {
+                    try {
+                        sendResponse({
+                            ok: true,
+                            approvals: await recoverStuckApprovals()
                         });
+                    } catch (e) {
+                        console.error("[Alma] CHECK_APPROVALS error:", e);
+                        sendResponse(Object.assign({
+                            ok: false,
+                            status: e.status
+                        }, describeAlmaError(e)));
+                    }
+                })();
+                return true;
+            }
+
+            // Supervisor decisions on the approval queue (options page)
+            if (request?.type === "APPROVE_ORDER" || request?.type === "REJECT_ORDER") {
+                (async () => {
+                    try {
+                        const result = request.type === "APPROVE_ORDER" ?
+                            await approveQueuedOrder(String(request.id || ""), request.password) : {
+                                entry: await rejectQueuedOrder(String(request.id || ""), request.password, request.reason)
+                            };
+                        sendResponse(Object.assign({
+                            ok: !result.queued
+                        }, result));
+                    } catch (e) {
+                        console.error(`[Alma] ${request.type} error:`, e);
+                        sendResponse(Object.assign({
+                            ok: false,
+                            status: e.status,
+                            code: e.code,
+                            detail: e.body
+                        }, describeAlmaError(e)));
+                    }
+                })();
+                return true;
+            }
+
+            // Shows what CREATE_PO_LINE would send and the profiles it would try, without posting
+            if (request?.type === "PREVIEW_PO_LINE") {
+                const f = request.payload || {};
+                let prepared;
+                try {
+                    prepared = preparePoLine(f);
+                } catch (e) {
+                    return sendResponse(Object.assign({
+                        ok: false,
+                        status: e.status,
+                        code: e.code
+                    }, describeAlmaError(e)));
+                }
+                const {
+                    body,
+                    profiles,
+                    electronic,
+                    unknown
+                } = prepared;
+                sendResponse({
+                    ok: true,
+                    body,
+                    profiles,
+                    electronic,
+                    // Alma creates a purchase request's line itself when the request is approved (orderPurchaseRequest())
+                    purchase_request: f.purchase_request_id || null,
+                    // What resolveBib() will do when the order is sent
+                    bib: f.mms_id ? "link" : f.purchase_request_id ? "request" :
+                        CONFIG.ALMA_BIB_MODE === "brief" ? "brief" : "link_or_create",
+                    marcxml: f.mms_id || f.purchase_request_id || CONFIG.ALMA_BIB_MODE === "brief" ? "" : buildMarcXml(f),
+                    // A first-attempt rejection falls back to posting without a profile (see submitPoLine())
+                    falls_back_direct: profiles.length > 0,
+                    warnings: [
+                        unknown && `Unknown ${unknown[2]} "${unknown[1]}"; Alma will refuse this line.`,
+                        !f.approval_id && needsApproval(f) &&
+                        `Over the approval threshold (${CONFIG.ALMA_APPROVAL_THRESHOLD}); it will wait for a supervisor before going to Alma.`
+                    ].filter(Boolean)
+                });
+                return;
+            }
+
+            // Creating PO Line
+
+            /**
+             * This is how we create and send the PO line (see submitPoLine()).
+             * If Alma can't be reached the order goes to the outbox instead and the popup is told it was queued
+             */
+            if (request?.type === "CREATE_PO_LINE") {
+                (async () => {
+                    const f = request.payload || {};
+                    const started = Date.now();
+                    try {
+                        if (!CONFIG.ALMA_API_KEY) {
+                            return sendResponse({
+                                ok: false,
+                                error: "Missing API key.",
+                                code: "NO_API_KEY"
+                            });
+                        }
+                        // A supervisor sending a held order (possibly edited in the popup)
+                        if (f.approval_id) {
+                            const approved = await approveQueuedOrder(f.approval_id, request.password, f);
+                            return sendResponse(Object.assign({
+                                ok: !approved.queued
+                            }, approved));
+                        }
+
+                        if (needsApproval(f)) {
+                            const entry = await queueForApproval(f);
+                            return sendResponse({
+                                ok: false,
+                                pending_approval: true,
+                                approval_id: entry.id,
+                                error: `Orders over ${CONFIG.ALMA_APPROVAL_THRESHOLD} need a supervisor's approval. ` +
+                                    "This one is waiting in the approval queue (options page) and hasn't been sent to Alma."
+                            });
+                        }
+
+                        const result = await submitPoLine(f);
+                        sendResponse(Object.assign({
+                            ok: true
+                        }, result));
+
+                    } catch (e) {
+                        // Alma unreachable or busy: keep the order and send it later instead of losing it
+                        // (held orders have their own queue and are only sent on approval)
+                        if (isTransientAlmaError(e) && !f.approval_id) {
+                            const entry = await queueOrder(f, e, started);
+                            return sendResponse({
+                                ok: false,
+                                queued: true,
+                                outbox_id: entry.id,
+                                error: `Alma couldn't be reached (${entry.last_error}). The order is saved in the outbox and will be sent automatically.`,
+                                status: e.status || 0
+                            });
+                        }
+                        console.error("[Alma] CREATE_PO_LINE failed:", e);
+                        sendResponse(Object.assign({
+                            ok: false,
+                            status: e?.status || 0,
+                            code: e?.code,
+                            tried: e?.tried,
+                            bib: e?.bib,
+                            detail: e?.body
+                        }, describeAlmaError(e)));
                     }
                 })();
                 return true; // keep the message port open for async sendResponse
@@ -16,8 +16,8 @@
   if (!isKanopyCartPage()) return;
 
   /**
-   * Scrapes the title, price, license, and id for each item in the cart, normalises and cleans them,
-   * and then returns them in an array
+   * Scrapes the title, price, license (and its length in years), id and title link for each item in the cart,
+   * normalises and cleans them, and then returns them in an array
    * @returns the array of cleaned and normalised item objects with scraped information
    */
   function extractCartItems() {
@@ -25,6 +25,7 @@
     const items = [];
     rows.forEach((row) => {
       const titleEl = row.querySelector("td:nth-child(2) .header");
+      const linkEl = row.querySelector("td:nth-child(2) a[href]");
       const priceEl = row.querySelector("td.right.aligned");
       const kanopyIdEl = row.querySelector("td:nth-child(4)");
       if (!titleEl || !priceEl || !kanopyIdEl) return;
@@ -34,6 +35,8 @@
       const kanopyId = (kanopyIdEl.textContent || "").trim() || "";
       const priceRaw = (priceEl.textContent || "").trim();
       const price = priceRaw.replace(/[^0-9.]/g, ""); 
+      // "1 Year", "3 Years"... (no number = perpetual, no end date)
+      const years = Number((license.match(/(\d+)\s*year/i) || [])[1]) || null;
 
       items.push({
         title,
@@ -43,7 +46,9 @@
         vendor_system: "KANOPY",
         vendor_hint: "KANOPY", 
         license,
-        kanopy_id: kanopyId
+        license_years: years,
+        kanopy_id: kanopyId,
+        access_url: linkEl ? linkEl.href : ""
       });
     });
     return items;
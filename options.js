@@ -94,6 +94,7 @@ function setStatus(id, msg, kind = "muted") {
  */
 function setLockedUI(locked) {
     const card = document.getElementById("settingsCard");
+    document.getElementById("envCard").classList.toggle("disabled", !!locked);
     if (locked) {
         card.classList.add("disabled");
         setStatus("status", "Locked.", "muted");
@@ -109,8 +110,16 @@ function setLockedUI(locked) {
  * UI is locked by default
  */
 async function loadDisplayValues() {
-    store.get(["ALMA_API_KEY_C", "ALMA_REGION"], (res) => {
+    store.get(["ALMA_API_KEY_C", "ALMA_INSTITUTION", "ALMA_REGION", "ALMA_DOMAIN", "ALMA_FUND_BALANCE_MODE", "ALMA_QUOTA_FLOOR",
+        "ALMA_BIB_MODE", "ALMA_APPROVAL_THRESHOLD"
+    ], (res) => {
+        document.getElementById("institution").value = res.ALMA_INSTITUTION || "";
         document.getElementById("region").value = res.ALMA_REGION || "NA";
+        document.getElementById("almaDomain").value = res.ALMA_DOMAIN || "";
+        document.getElementById("fundBalanceMode").value = res.ALMA_FUND_BALANCE_MODE || "warn";
+        document.getElementById("quotaFloor").value = res.ALMA_QUOTA_FLOOR ?? "";
+        document.getElementById("bibMode").value = res.ALMA_BIB_MODE || "link";
+        document.getElementById("approvalThreshold").value = res.ALMA_APPROVAL_THRESHOLD ?? "";
     });
     setStatus("lockStatus", "Locked.", "muted");
     setLockedUI(true);
@@ -119,6 +128,7 @@ async function loadDisplayValues() {
 document.addEventListener("DOMContentLoaded", () => {
     loadDisplayValues();
     paintMaskedIfEncrypted(); // shows dots if an encrypted key exists
+    loadEnvironments();
 });
 
 /**
@@ -142,6 +152,11 @@ document.getElementById("unlock").addEventListener("click", async () => {
         if (res?.ok) {
             setLockedUI(false);
             setStatus("lockStatus", "Unlocked.", "ok");
+            loadLibrariesForRules();
+            loadOrderProfiles();
+            document.querySelectorAll("#vendorMap .vendor-row").forEach((row) => {
+                if (row.querySelector(".vendor-code").value.trim()) lookupVendorForRow(row);
+            });
         } else {
             setStatus("lockStatus", res?.error || "Unlock failed.", "err");
         }
@@ -200,15 +215,63 @@ document.getElementById("save")?.addEventListener("click", async () => {
         return;
     }
 
-    const apiKey = (document.getElementById("apiKey").value || "").trim();
+    // Masking dots mean the saved key is unchanged
+    const keyEl = document.getElementById("apiKey");
+    const apiKey = keyEl.dataset.masked === "1" ? "" : (keyEl.value || "").trim();
     const region = document.getElementById("region").value || "NA";
+    const domain = (document.getElementById("almaDomain").value || "").trim()
+        .replace(/^https?:\/\//, "").replace(/\/+$/, "");
+
+    // Blank keeps background's default floor
+    const floorText = (document.getElementById("quotaFloor").value || "").trim();
+    const quotaFloor = floorText === "" ? undefined : Math.max(0, Math.floor(Number(floorText)));
+    if (Number.isNaN(quotaFloor)) {
+        setStatus("status", "API quota floor must be a number.", "err");
+        return;
+    }
+    const thresholdText = (document.getElementById("approvalThreshold").value || "").trim();
+    const approvalThreshold = thresholdText === "" ? undefined : Math.max(0, Number(thresholdText));
+    if (Number.isNaN(approvalThreshold)) {
+        setStatus("status", "Approval threshold must be a number.", "err");
+        return;
+    }
+
+    // Vendor mapping must point at active Alma vendors
+    const vendorMap = collectVendorMap();
+    if (vendorMap.invalid.length) {
+        setStatus("status", "Inactive or unknown vendor: " + vendorMap.invalid.join(", "), "err");
+        return;
+    }
+
+    // Non-secret settings saved alongside (or without) the key
+    const settings = {
+        ALMA_INSTITUTION: (document.getElementById("institution").value || "").trim(),
+        ALMA_REGION: region,
+        ALMA_DOMAIN: domain,
+        ALMA_FUND_BALANCE_MODE: document.getElementById("fundBalanceMode").value || "warn",
+        ALMA_QUOTA_FLOOR: quotaFloor,
+        ALMA_BIB_MODE: document.getElementById("bibMode").value || "link",
+        ALMA_APPROVAL_THRESHOLD: approvalThreshold,
+        ALMA_LOCATION_DEFAULTS: collectLocationRules(),
+        ALMA_KANOPY_LICENSES: collectKanopyLicenses(),
+        ALMA_VENDOR_MAP: vendorMap.map,
+        ALMA_ORDER_PROFILES: collectOrderProfiles()
+    };
+
+    if (quotaFloor === undefined) {
+        delete settings.ALMA_QUOTA_FLOOR;
+        await store.remove("ALMA_QUOTA_FLOOR");
+    }
+    if (approvalThreshold === undefined) {
+        delete settings.ALMA_APPROVAL_THRESHOLD;
+        await store.remove("ALMA_APPROVAL_THRESHOLD");
+    }
+    await saveEnvironmentDetails();
 
     // allow region-only save
     if (!apiKey) {
-        await store.set({
-            ALMA_REGION: region
-        });
-        setStatus("status", "Saved region.", "ok");
+        await store.set(settings);
+        setStatus("status", "Saved settings.", "ok");
         chrome.runtime.sendMessage({
             type: "REFRESH_CONFIG"
         }, () => {});
@@ -259,12 +322,11 @@ document.getElementById("save")?.addEventListener("click", async () => {
             iv
         }, key, enc.encode(apiKey));
 
-        await store.set({
+        await store.set(Object.assign({
             ALMA_API_KEY_C: b64u(ct),
             ALMA_API_KEY_IV: b64u(iv),
-            ALMA_API_KEY_LEN: apiKey.length,
-            ALMA_REGION: region
-        });
+            ALMA_API_KEY_LEN: apiKey.length
+        }, settings));
 
         __apiKeyRevealed = false;
         paintMaskedIfEncrypted();
@@ -366,3 +428,1072 @@ document.getElementById("test").addEventListener("click", () => {
         else setStatus("status", `Failed: ${resp?.status || ""} ${resp?.error || ""}`, "err");
     });
 });
+
+// Drops the cached Alma lists in background and loads them again (otherwise they refresh on their own schedule)
+document.getElementById("refreshData").addEventListener("click", () => {
+    if (document.getElementById("settingsCard").classList.contains("disabled"))
+        return setStatus("status", "Unlock first.", "err");
+
+    setStatus("status", "Reloading data from Alma…", "muted");
+    chrome.runtime.sendMessage({
+        type: "REFRESH_ALMA_DATA"
+    }, (res) => {
+        if (chrome.runtime.lastError || !res?.ok) {
+            setStatus("status", "Refresh failed: " + (res?.error || chrome.runtime.lastError?.message || "unknown error"), "err");
+            return;
+        }
+        const c = res.counts || {};
+        setStatus("status", `Alma data refreshed: ${c.funds} funds, ${c.reporting_codes} reporting codes, ` +
+            `${c.po_line_types} PO line types, ${c.material_types} material types, ${c.libraries} libraries.`, "ok");
+    });
+});
+
+// Default location rules
+
+// Libraries from background, and a promise of each library's locations
+let __libraries = [];
+const __locations = {};
+
+/**
+ * Asks background for a library's locations (once per library)
+ * @param {*} library the library code
+ * @returns a promise of [{ code, name }]
+ */
+function loadLocations(library) {
+    if (!library) return Promise.resolve([]);
+    if (!__locations[library]) {
+        __locations[library] = new Promise((resolve) => {
+            chrome.runtime.sendMessage({
+                type: "GET_LOCATIONS",
+                library
+            }, (res) => {
+                const list = Array.isArray(res?.locations) ? res.locations : [];
+                if (!res?.ok) delete __locations[library]; // ask again next time
+                resolve(list);
+            });
+        });
+    }
+    return __locations[library];
+}
+
+/**
+ * Replaces a select's options, keeping the wanted value even if Alma didn't list it
+ * @param {*} sel the select element
+ * @param {*} list [{ code, name }]
+ * @param {*} want the value to select
+ */
+function fillCodeSelect(sel, list, want) {
+    const items = list.slice();
+    if (want && !items.some(x => x.code === want)) items.unshift({
+        code: want,
+        name: want
+    });
+    sel.innerHTML = "";
+    items.forEach((x) => {
+        const o = document.createElement("option");
+        o.value = x.code;
+        o.textContent = x.name && x.name !== x.code ? `${x.name} (${x.code})` : x.code;
+        sel.appendChild(o);
+    });
+    if (want) sel.value = want;
+}
+
+/**
+ * Adds a rule row: match (material type / vendor / fallback), value, library, location
+ * @param {*} rule saved rule { by, value, library, location }
+ */
+function addLocationRuleRow(rule = {}) {
+    const row = document.createElement("div");
+    row.className = "rule-row";
+
+    const by = document.createElement("select");
+    by.className = "rule-by";
+    [
+        ["material", "Material type"],
+        ["vendor", "Vendor"],
+        ["default", "Fallback"]
+    ].forEach(([v, t]) => {
+        const o = document.createElement("option");
+        o.value = v;
+        o.textContent = t;
+        by.appendChild(o);
+    });
+    by.value = rule.by || "material";
+
+    const value = document.createElement("input");
+    value.type = "text";
+    value.className = "rule-value";
+    value.placeholder = "e.g. DVD or AMAZON";
+    value.setAttribute("list", "ruleValues");
+    value.value = rule.value || "";
+    const syncValue = () => {
+        value.disabled = by.value === "default";
+        if (value.disabled) value.value = "";
+    };
+    by.addEventListener("change", syncValue);
+    syncValue();
+
+    const lib = document.createElement("select");
+    lib.className = "rule-library";
+    fillCodeSelect(lib, __libraries, rule.library);
+
+    const loc = document.createElement("select");
+    loc.className = "rule-location";
+    const refreshLoc = async (want) => fillCodeSelect(loc, await loadLocations(lib.value), want);
+    refreshLoc(rule.location);
+    lib.addEventListener("change", () => refreshLoc());
+
+    const rm = document.createElement("button");
+    rm.type = "button";
+    rm.className = "btn secondary";
+    rm.textContent = "Remove";
+    rm.addEventListener("click", () => row.remove());
+
+    row.append(by, value, lib, loc, rm);
+    document.getElementById("locationRules").appendChild(row);
+}
+
+/**
+ * Reads the rule rows into the shape popup.js expects (ALMA_LOCATION_DEFAULTS)
+ * @returns [{ by, value, library, location }]
+ */
+function collectLocationRules() {
+    return Array.from(document.querySelectorAll("#locationRules .rule-row")).map((row) => ({
+        by: row.querySelector(".rule-by").value,
+        value: row.querySelector(".rule-value").value.trim().toUpperCase(),
+        library: row.querySelector(".rule-library").value,
+        location: row.querySelector(".rule-location").value
+    })).filter(r => r.library && r.location && (r.by === "default" || r.value));
+}
+
+/**
+ * Once unlocked, loads libraries from Alma so rule rows offer real library/location codes
+ */
+function loadLibrariesForRules() {
+    chrome.runtime.sendMessage({
+        type: "GET_LIBRARIES"
+    }, (res) => {
+        if (chrome.runtime.lastError || !res?.ok) return;
+        __libraries = res.libraries || [];
+        document.querySelectorAll("#locationRules .rule-row").forEach((row) => {
+            const lib = row.querySelector(".rule-library");
+            const loc = row.querySelector(".rule-location");
+            fillCodeSelect(lib, __libraries, lib.value);
+            loadLocations(lib.value).then(list => fillCodeSelect(loc, list, loc.value));
+        });
+    });
+}
+
+/**
+ * Renders saved rules and the vendor/material suggestions for the value box
+ */
+function renderLocationRules() {
+    const dl = document.getElementById("ruleValues");
+    const values = (self.AlmaVendors ? AlmaVendors.all().map(a => a.id) : []).concat(["BOOK", "DVD", "EBOOK"]);
+    values.forEach((v) => {
+        const o = document.createElement("option");
+        o.value = v;
+        dl.appendChild(o);
+    });
+    store.get(["ALMA_LOCATION_DEFAULTS"], (res) => {
+        const rules = Array.isArray(res.ALMA_LOCATION_DEFAULTS) ? res.ALMA_LOCATION_DEFAULTS : [];
+        rules.forEach(addLocationRuleRow);
+    });
+}
+
+document.addEventListener("DOMContentLoaded", renderLocationRules);
+document.getElementById("addLocationRule").addEventListener("click", () => addLocationRuleRow());
+
+// Kanopy licenses (Kanopy license duration -> Alma license)
+
+/**
+ * Suggests license codes in the datalist while the admin types (SEARCH_LICENSES)
+ * @param {*} term the text typed
+ */
+function suggestLicenses(term) {
+    if (String(term || "").trim().length < 2) return;
+    chrome.runtime.sendMessage({
+        type: "SEARCH_LICENSES",
+        term,
+        limit: 20
+    }, (res) => {
+        if (chrome.runtime.lastError || !res?.ok) return;
+        const dl = document.getElementById("licenseCodes");
+        dl.innerHTML = "";
+        res.licenses.forEach((l) => {
+            const o = document.createElement("option");
+            o.value = l.code;
+            o.label = `${l.name}${l.active ? "" : " – " + (l.status || "inactive")}`;
+            dl.appendChild(o);
+        });
+    });
+}
+
+/**
+ * Adds a row: Kanopy license duration, Alma license code
+ * @param {*} entry saved entry { duration, code }
+ */
+function addKanopyLicenseRow(entry = {}) {
+    const row = document.createElement("div");
+    row.className = "rule-row";
+
+    const duration = document.createElement("input");
+    duration.type = "text";
+    duration.className = "kanopy-duration";
+    duration.placeholder = "e.g. 1 Year";
+    duration.value = entry.duration || "";
+
+    const code = document.createElement("input");
+    code.type = "text";
+    code.className = "kanopy-license";
+    code.placeholder = "Alma license code";
+    code.setAttribute("list", "licenseCodes");
+    code.value = entry.code || "";
+    let t = null;
+    code.addEventListener("input", () => {
+        clearTimeout(t);
+        t = setTimeout(() => suggestLicenses(code.value), 300);
+    });
+
+    const rm = document.createElement("button");
+    rm.type = "button";
+    rm.className = "btn secondary";
+    rm.textContent = "Remove";
+    rm.addEventListener("click", () => row.remove());
+
+    row.append(duration, code, rm);
+    document.getElementById("kanopyLicenses").appendChild(row);
+}
+
+/**
+ * Reads the Kanopy license rows (ALMA_KANOPY_LICENSES)
+ * @returns [{ duration, code }]
+ */
+function collectKanopyLicenses() {
+    return Array.from(document.querySelectorAll("#kanopyLicenses .rule-row")).map((row) => ({
+        duration: row.querySelector(".kanopy-duration").value.trim(),
+        code: row.querySelector(".kanopy-license").value.trim()
+    })).filter(r => r.duration && r.code);
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+    store.get(["ALMA_KANOPY_LICENSES"], (res) => {
+        (Array.isArray(res.ALMA_KANOPY_LICENSES) ? res.ALMA_KANOPY_LICENSES : []).forEach(addKanopyLicenseRow);
+    });
+});
+document.getElementById("addKanopyLicense").addEventListener("click", () => addKanopyLicenseRow());
+
+// Vendor mapping (scraped site -> Alma vendor and account)
+
+/**
+ * Looks a vendor code up in Alma, fills the row's account dropdown and shows whether the vendor is active.
+ * Stores the result on the row (data-valid) so Save can refuse inactive or unknown vendors.
+ * @param {*} row the vendor mapping row
+ * @param {*} wantAccount account to preselect
+ */
+function lookupVendorForRow(row, wantAccount) {
+    const input = row.querySelector(".vendor-code");
+    const acct = row.querySelector(".vendor-account");
+    const status = row.querySelector(".vendor-status");
+    const code = input.value.trim();
+    const keep = wantAccount ?? acct.value;
+
+    acct.innerHTML = "";
+    acct.appendChild(new Option("Default account", ""));
+    if (!code) {
+        row.dataset.valid = "";
+        status.textContent = "Built-in default";
+        status.className = "vendor-status muted";
+        return;
+    }
+    if (keep) acct.appendChild(new Option(keep, keep, true, true));
+
+    status.textContent = "Checking…";
+    status.className = "vendor-status muted";
+    chrome.runtime.sendMessage({
+        type: "GET_VENDOR",
+        code
+    }, (res) => {
+        if (chrome.runtime.lastError || !res?.ok) {
+            row.dataset.valid = res?.status === 404 || res?.status === 400 ? "0" : "";
+            status.textContent = row.dataset.valid === "0" ? "Not found in Alma" : "Couldn't check (locked?)";
+            status.className = "vendor-status err";
+            return;
+        }
+        const v = res.vendor;
+        row.dataset.valid = v.active ? "1" : "0";
+        row.dataset.name = v.name || "";
+        status.textContent = v.active ? `Active – ${v.name}` : `Inactive – ${v.name}`;
+        status.className = "vendor-status " + (v.active ? "ok" : "err");
+
+        acct.innerHTML = "";
+        acct.appendChild(new Option("Default account", ""));
+        v.accounts.forEach((a) => {
+            const label = `${a.description || a.code} (${a.code})${a.active ? "" : " – inactive"}`;
+            const o = new Option(label, a.code);
+            o.disabled = !a.active;
+            acct.appendChild(o);
+        });
+        if (keep && v.accounts.some(a => a.code === keep && a.active)) acct.value = keep;
+    });
+}
+
+/**
+ * Suggests vendor codes in the datalist while the admin types (SEARCH_VENDORS)
+ * @param {*} term the text typed
+ */
+function suggestVendors(term) {
+    if (String(term || "").trim().length < 2) return;
+    chrome.runtime.sendMessage({
+        type: "SEARCH_VENDORS",
+        term,
+        limit: 20
+    }, (res) => {
+        if (chrome.runtime.lastError || !res?.ok) return;
+        const dl = document.getElementById("vendorCodes");
+        dl.innerHTML = "";
+        res.vendors.forEach((v) => {
+            const o = document.createElement("option");
+            o.value = v.code;
+            o.label = v.name;
+            dl.appendChild(o);
+        });
+    });
+}
+
+/**
+ * Renders one mapping row per vendor adapter (vendors.js) with the saved Alma vendor/account
+ */
+function renderVendorMap() {
+    const wrap = document.getElementById("vendorMap");
+    if (!wrap || !self.AlmaVendors) return;
+    store.get(["ALMA_VENDOR_MAP"], (res) => {
+        const map = res.ALMA_VENDOR_MAP || {};
+        AlmaVendors.all().forEach((a) => {
+            const saved = map[a.id] || {};
+            const row = document.createElement("div");
+            row.className = "vendor-row";
+            row.dataset.adapter = a.id;
+
+            const label = document.createElement("span");
+            label.className = "vendor-label";
+            label.textContent = a.label || a.id;
+
+            const input = document.createElement("input");
+            input.type = "text";
+            input.className = "vendor-code";
+            input.placeholder = a.vendor?.code || "Alma vendor code";
+            input.setAttribute("list", "vendorCodes");
+            input.value = saved.vendor || "";
+
+            const acct = document.createElement("select");
+            acct.className = "vendor-account";
+
+            const status = document.createElement("span");
+            status.className = "vendor-status muted";
+
+            let t = null;
+            input.addEventListener("input", () => {
+                clearTimeout(t);
+                t = setTimeout(() => suggestVendors(input.value), 300);
+            });
+            input.addEventListener("change", () => lookupVendorForRow(row));
+
+            row.append(label, input, acct, status);
+            wrap.appendChild(row);
+
+            // Saved rows were valid when saved; re-check once unlocked
+            row.dataset.valid = saved.vendor ? "1" : "";
+            row.dataset.name = saved.vendor_name || "";
+            acct.appendChild(new Option("Default account", ""));
+            if (saved.account) acct.appendChild(new Option(saved.account, saved.account, true, true));
+            status.textContent = saved.vendor ? (saved.vendor_name || saved.vendor) : "Built-in default";
+        });
+    });
+}
+
+/**
+ * Reads the mapping rows into ALMA_VENDOR_MAP
+ * @returns { map, invalid } where invalid lists rows whose vendor is inactive or unknown
+ */
+function collectVendorMap() {
+    const map = {};
+    const invalid = [];
+    document.querySelectorAll("#vendorMap .vendor-row").forEach((row) => {
+        const code = row.querySelector(".vendor-code").value.trim();
+        if (!code) return;
+        if (row.dataset.valid === "0") invalid.push(`${row.dataset.adapter} → ${code}`);
+        map[row.dataset.adapter] = {
+            vendor: code,
+            vendor_name: row.dataset.name || "",
+            account: row.querySelector(".vendor-account").value || ""
+        };
+    });
+    return {
+        map,
+        invalid
+    };
+}
+
+document.addEventListener("DOMContentLoaded", renderVendorMap);
+
+// Order history
+
+/**
+ * Draws the order history table from ALMA_ORDER_HISTORY
+ */
+function renderHistory() {
+    const body = document.getElementById("historyRows");
+    if (!body) return;
+    store.get(["ALMA_ORDER_HISTORY"], (res) => {
+        const list = Array.isArray(res.ALMA_ORDER_HISTORY) ? res.ALMA_ORDER_HISTORY : [];
+        body.innerHTML = "";
+        if (!list.length) {
+            const tr = document.createElement("tr");
+            const td = document.createElement("td");
+            td.colSpan = 7;
+            td.className = "muted";
+            td.textContent = "No orders yet.";
+            tr.appendChild(td);
+            body.appendChild(tr);
+            return;
+        }
+        list.forEach((e) => {
+            const tr = document.createElement("tr");
+            tr.dataset.number = e.number;
+            const cell = (text) => {
+                const td = document.createElement("td");
+                td.textContent = text || "";
+                tr.appendChild(td);
+                return td;
+            };
+
+            cell(e.number);
+            const titleTd = cell("");
+            if (e.source_url) {
+                const a = document.createElement("a");
+                a.href = e.source_url;
+                a.target = "_blank";
+                a.rel = "noopener";
+                a.textContent = e.title || e.source_url;
+                titleTd.appendChild(a);
+            } else {
+                titleTd.textContent = e.title;
+            }
+            cell([e.vendor, (e.funds || []).join(", ")].filter(Boolean).join(" / "));
+            cell(`${Number(e.price || 0).toFixed(2)} ${e.currency || ""}${e.quantity > 1 ? " × " + e.quantity : ""}`);
+            cell(e.created_at ? new Date(e.created_at).toLocaleString() : "");
+            cell([
+                e.status || "Not checked",
+                e.receiving,
+                e.expected_date && `Expected ${e.expected_date}`,
+                e.checked_at && `as of ${new Date(e.checked_at).toLocaleString()}`
+            ].filter(Boolean).join(" · "));
+
+            const actions = cell("");
+            const btn = document.createElement("button");
+            btn.type = "button";
+            btn.className = "btn secondary";
+            btn.textContent = "Refresh";
+            btn.addEventListener("click", () => refreshOrderStatus(e.number));
+            actions.appendChild(btn);
+
+            // Lines still open in Alma can be amended or cancelled in the order form
+            if (!/CLOSED|CANCELLED|DELETED/.test(e.status_code || "")) {
+                [
+                    ["Edit", "edit"],
+                    ["Cancel", "cancel"]
+                ].forEach(([label, action]) => {
+                    const b = document.createElement("button");
+                    b.type = "button";
+                    b.className = "btn secondary";
+                    b.textContent = label;
+                    b.addEventListener("click", () => openOrderForm(e.number, action));
+                    actions.appendChild(b);
+                });
+            }
+
+            body.appendChild(tr);
+        });
+    });
+}
+
+/**
+ * Opens the order form in a tab to edit or cancel a PO line from the history
+ * @param {*} number the PO line number
+ * @param {*} action "edit" or "cancel"
+ */
+function openOrderForm(number, action) {
+    chrome.tabs.create({
+        url: chrome.runtime.getURL(`popup.html?po_line=${encodeURIComponent(number)}&action=${action}`)
+    });
+}
+
+/**
+ * Asks background to fetch one PO line's status from Alma (the table redraws from the storage change)
+ * @param {*} number the PO line number
+ * @returns a promise resolving to the background response
+ */
+function refreshOrderStatus(number) {
+    return new Promise((resolve) => {
+        chrome.runtime.sendMessage({
+            type: "REFRESH_ORDER_STATUS",
+            number
+        }, (res) => {
+            if (chrome.runtime.lastError || !res?.ok) {
+                setStatus("historyStatus", `${number}: ${res?.error || chrome.runtime.lastError?.message || "refresh failed"}`, "err");
+            }
+            resolve(res);
+        });
+    });
+}
+
+document.getElementById("refreshHistory").addEventListener("click", async () => {
+    const {
+        ALMA_ORDER_HISTORY
+    } = await store.get(["ALMA_ORDER_HISTORY"]);
+    const list = Array.isArray(ALMA_ORDER_HISTORY) ? ALMA_ORDER_HISTORY : [];
+    let failed = 0;
+    for (let i = 0; i < list.length; i++) {
+        setStatus("historyStatus", `Refreshing ${i + 1} of ${list.length}…`, "muted");
+        const res = await refreshOrderStatus(list[i].number);
+        if (!res?.ok) failed++;
+    }
+    setStatus("historyStatus", failed ? `Refreshed with ${failed} failure(s).` : "All statuses refreshed.", failed ? "err" : "ok");
+});
+
+document.getElementById("clearHistory").addEventListener("click", async () => {
+    if (!confirm("Remove all entries from the order history on this browser?")) return;
+    await store.remove("ALMA_ORDER_HISTORY");
+    setStatus("historyStatus", "History cleared.", "ok");
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && changes.ALMA_ORDER_HISTORY) renderHistory();
+});
+document.addEventListener("DOMContentLoaded", renderHistory);
+
+// Outbox
+
+/**
+ * Describes where an outbox entry stands
+ * @param {*} e the outbox entry
+ * @returns the status text
+ */
+function outboxStatusText(e) {
+    if (e.status === "sent") {
+        return [`Sent as ${e.po_line_number || "(no number returned)"}`, e.sent_at && new Date(e.sent_at).toLocaleString(), e.last_error,
+            ...outboxFollowUpText(e)
+        ].filter(Boolean).join(" · ");
+    }
+    if (e.status === "failed") return `Failed: ${e.last_error || "unknown error"}`;
+    return [
+        "Pending",
+        e.next_try_at && `next try ${new Date(e.next_try_at).toLocaleTimeString()}`,
+        e.last_error && `last error ${e.last_error}`
+    ].filter(Boolean).join(" · ");
+}
+
+/**
+ * What happened after a queued order's line was placed: purchase request, prepaid invoice, receiving
+ * @param {*} e the outbox entry
+ * @returns a list of short descriptions (empty when none applied)
+ */
+function outboxFollowUpText(e) {
+    const pr = e.purchase_request;
+    const inv = e.invoice;
+    const rec = e.received;
+    const done = (rec?.items || []).filter(i => !i.error).length;
+    return [
+        pr && (pr.approved ? `purchase request ${pr.id} approved` : `purchase request ${pr.id} still pending (${pr.error})`),
+        inv && (inv.processed ? `invoice ${inv.number} processed` : inv.id ? `invoice ${inv.number} not finished (${inv.error})` :
+            `no invoice created (${inv.error})`),
+        rec && (rec.error ? `items not received (${rec.error})` : `${done} of ${(rec.items || []).length} items received`)
+    ];
+}
+
+/**
+ * Draws the outbox table from ALMA_OUTBOX
+ */
+function renderOutbox() {
+    const body = document.getElementById("outboxRows");
+    if (!body) return;
+    store.get(["ALMA_OUTBOX"], (res) => {
+        const list = Array.isArray(res.ALMA_OUTBOX) ? res.ALMA_OUTBOX : [];
+        body.innerHTML = "";
+        if (!list.length) {
+            const tr = document.createElement("tr");
+            const td = document.createElement("td");
+            td.colSpan = 5;
+            td.className = "muted";
+            td.textContent = "Nothing waiting.";
+            tr.appendChild(td);
+            body.appendChild(tr);
+            return;
+        }
+        list.slice().reverse().forEach((e) => {
+            const tr = document.createElement("tr");
+            const cell = (text) => {
+                const td = document.createElement("td");
+                td.textContent = text || "";
+                tr.appendChild(td);
+                return td;
+            };
+
+            cell(e.title || "(untitled)");
+            cell(e.created_at ? new Date(e.created_at).toLocaleString() : "");
+            cell(String(e.attempts || 0));
+            cell(outboxStatusText(e)).className = e.status === "failed" ? "err" : "";
+
+            const actions = cell("");
+            if (e.status !== "sent") {
+                const retry = document.createElement("button");
+                retry.type = "button";
+                retry.className = "btn secondary";
+                retry.textContent = "Retry now";
+                retry.addEventListener("click", () => retryOutbox(e.id));
+                actions.appendChild(retry);
+            }
+            const remove = document.createElement("button");
+            remove.type = "button";
+            remove.className = "btn secondary";
+            remove.textContent = "Remove";
+            remove.addEventListener("click", () => removeOutboxEntry(e));
+            actions.appendChild(remove);
+
+            body.appendChild(tr);
+        });
+    });
+}
+
+/**
+ * Asks background to send outbox orders now (the table redraws from the storage change)
+ * @param {*} id one entry's id, or nothing for every pending order
+ */
+function retryOutbox(id) {
+    setStatus("outboxStatus", "Sending…", "muted");
+    chrome.runtime.sendMessage({
+        type: "RETRY_OUTBOX",
+        id
+    }, (res) => {
+        if (chrome.runtime.lastError || !res?.ok) {
+            return setStatus("outboxStatus", res?.error || chrome.runtime.lastError?.message || "Retry failed.", "err");
+        }
+        const pending = res.outbox.filter(e => e.status === "pending").length;
+        setStatus("outboxStatus", pending ? `${pending} order(s) still waiting for Alma.` : "Outbox sent.", pending ? "err" : "ok");
+    });
+}
+
+/**
+ * Drops an entry from the outbox; an unsent order is gone for good, so that needs confirming
+ * @param {*} entry the outbox entry
+ */
+async function removeOutboxEntry(entry) {
+    if (entry.status !== "sent" && !confirm(`"${entry.title || "This order"}" hasn't been sent to Alma. Remove it anyway?`)) return;
+    const {
+        ALMA_OUTBOX
+    } = await store.get(["ALMA_OUTBOX"]);
+    const list = Array.isArray(ALMA_OUTBOX) ? ALMA_OUTBOX : [];
+    await store.set({
+        ALMA_OUTBOX: list.filter(e => e.id !== entry.id)
+    });
+}
+
+document.getElementById("retryOutbox").addEventListener("click", () => retryOutbox());
+
+document.getElementById("clearOutbox").addEventListener("click", async () => {
+    const {
+        ALMA_OUTBOX
+    } = await store.get(["ALMA_OUTBOX"]);
+    const list = Array.isArray(ALMA_OUTBOX) ? ALMA_OUTBOX : [];
+    await store.set({
+        ALMA_OUTBOX: list.filter(e => e.status !== "sent")
+    });
+    setStatus("outboxStatus", "Sent orders cleared.", "ok");
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && changes.ALMA_OUTBOX) renderOutbox();
+});
+document.addEventListener("DOMContentLoaded", renderOutbox);
+
+// Approval queue
+
+/**
+ * Describes where a held order stands
+ * @param {*} e the approval queue entry
+ * @returns the status text
+ */
+function approvalStatusText(e) {
+    const when = e.decided_at ? new Date(e.decided_at).toLocaleString() : "";
+    if (e.status === "approved") {
+        return [e.po_line_number ? `Approved, sent as ${e.po_line_number}` : "Approved, waiting in the outbox", when, e.note].filter(Boolean).join(" · ");
+    }
+    if (e.status === "rejected") return [`Rejected${e.reason ? `: ${e.reason}` : ""}`, when].filter(Boolean).join(" · ");
+    if (e.status === "sending") return ["Approved, sending to Alma…", when].filter(Boolean).join(" · ");
+    return ["Waiting for approval", e.note].filter(Boolean).join(" · ");
+}
+
+/**
+ * Draws the approval queue table from ALMA_APPROVAL_QUEUE
+ */
+function renderApprovals() {
+    const body = document.getElementById("approvalRows");
+    if (!body) return;
+    store.get(["ALMA_APPROVAL_QUEUE"], (res) => {
+        const list = Array.isArray(res.ALMA_APPROVAL_QUEUE) ? res.ALMA_APPROVAL_QUEUE : [];
+        body.innerHTML = "";
+        if (!list.length) {
+            const tr = document.createElement("tr");
+            const td = document.createElement("td");
+            td.colSpan = 6;
+            td.className = "muted";
+            td.textContent = "Nothing waiting for approval.";
+            tr.appendChild(td);
+            body.appendChild(tr);
+            return;
+        }
+        list.slice().reverse().forEach((e) => {
+            const tr = document.createElement("tr");
+            const cell = (text) => {
+                const td = document.createElement("td");
+                td.textContent = text || "";
+                tr.appendChild(td);
+                return td;
+            };
+
+            cell(e.title || "(untitled)");
+            cell(`${Number(e.total || 0).toFixed(2)} ${e.currency || ""}`);
+            cell([e.vendor, (e.funds || []).join(", ")].filter(Boolean).join(" / "));
+            cell(e.submitted_at ? new Date(e.submitted_at).toLocaleString() : "");
+            cell(approvalStatusText(e)).className = e.status === "rejected" ? "err" : "";
+
+            const actions = cell("");
+            if (e.status === "pending") {
+                [
+                    ["Approve", () => decideApproval("APPROVE_ORDER", e)],
+                    ["Edit", () => chrome.tabs.create({
+                        url: chrome.runtime.getURL(`popup.html?approval=${encodeURIComponent(e.id)}`)
+                    })],
+                    ["Reject", () => decideApproval("REJECT_ORDER", e)]
+                ].forEach(([label, onClick]) => {
+                    const b = document.createElement("button");
+                    b.type = "button";
+                    b.className = "btn secondary";
+                    b.textContent = label;
+                    b.addEventListener("click", onClick);
+                    actions.appendChild(b);
+                });
+            }
+
+            body.appendChild(tr);
+        });
+    });
+}
+
+/**
+ * Sends a supervisor's decision on a held order to background (the table redraws from the storage change)
+ * @param {*} type "APPROVE_ORDER" or "REJECT_ORDER"
+ * @param {*} entry the approval queue entry
+ */
+function decideApproval(type, entry) {
+    let reason = "";
+    if (type === "REJECT_ORDER") {
+        reason = prompt(`Why is "${entry.title || "this order"}" rejected? (shown in the queue)`, "");
+        if (reason === null) return;
+    } else if (!confirm(`Send "${entry.title || "this order"}" (${Number(entry.total || 0).toFixed(2)} ${entry.currency || ""}) to Alma?`)) {
+        return;
+    }
+    setStatus("approvalStatus", type === "APPROVE_ORDER" ? "Sending to Alma…" : "Rejecting…", "muted");
+    chrome.runtime.sendMessage({
+        type,
+        id: entry.id,
+        password: document.getElementById("supervisorPassword").value,
+        reason
+    }, (res) => {
+        if (chrome.runtime.lastError || !res) {
+            return setStatus("approvalStatus", chrome.runtime.lastError?.message || "No response.", "err");
+        }
+        if (res.queued) return setStatus("approvalStatus", res.error, "err");
+        if (!res.ok) return setStatus("approvalStatus", res.error || "Failed.", "err");
+        setStatus("approvalStatus", type === "APPROVE_ORDER" ? `Approved and sent as ${res.po_line_number || "(no number returned)"}.` :
+            "Rejected.", "ok");
+    });
+}
+
+document.getElementById("clearApprovals").addEventListener("click", async () => {
+    const {
+        ALMA_APPROVAL_QUEUE
+    } = await store.get(["ALMA_APPROVAL_QUEUE"]);
+    const list = Array.isArray(ALMA_APPROVAL_QUEUE) ? ALMA_APPROVAL_QUEUE : [];
+    await store.set({
+        ALMA_APPROVAL_QUEUE: list.filter(e => e.status === "pending" || e.status === "sending")
+    });
+    setStatus("approvalStatus", "Decided orders cleared.", "ok");
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && changes.ALMA_APPROVAL_QUEUE) renderApprovals();
+});
+document.addEventListener("DOMContentLoaded", () => {
+    renderApprovals();
+    // Orders cut off while sending are settled in background; the table redraws from the storage change
+    chrome.runtime.sendMessage({
+        type: "CHECK_APPROVALS"
+    }, () => {});
+});
+
+// New Order API profile routing
+
+// Fallback used before the admin has saved any routing (same as background's DEFAULT_ORDER_PROFILES)
+const DEFAULT_ORDER_PROFILES = {
+    preferred: "ORDER_IT_API_PROFILE",
+    alternates: ["GOBI"],
+    rules: []
+};
+
+// Profiles from GET_NEW_ORDER_PROFILES, plus "DIRECT" (post without a profile)
+let __profiles = [{
+    code: "DIRECT",
+    name: "No profile (direct)"
+}];
+
+/**
+ * Adds a routing rule row: match (vendor / PO line type), value, profile
+ * @param {*} rule saved rule { by, value, profile }
+ */
+function addProfileRuleRow(rule = {}) {
+    const row = document.createElement("div");
+    row.className = "rule-row";
+
+    const by = document.createElement("select");
+    by.className = "rule-by";
+    [
+        ["vendor", "Vendor"],
+        ["type", "PO line type"]
+    ].forEach(([v, t]) => {
+        const o = document.createElement("option");
+        o.value = v;
+        o.textContent = t;
+        by.appendChild(o);
+    });
+    by.value = rule.by || "vendor";
+
+    const value = document.createElement("input");
+    value.type = "text";
+    value.className = "rule-value";
+    value.placeholder = "e.g. AMAZON or PRINT_OT";
+    value.setAttribute("list", "profileRuleValues");
+    value.value = rule.value || "";
+
+    const profile = document.createElement("select");
+    profile.className = "rule-profile";
+    fillCodeSelect(profile, __profiles, rule.profile);
+
+    const rm = document.createElement("button");
+    rm.type = "button";
+    rm.className = "btn secondary";
+    rm.textContent = "Remove";
+    rm.addEventListener("click", () => row.remove());
+
+    row.append(by, value, profile, rm);
+    document.getElementById("profileRules").appendChild(row);
+}
+
+/**
+ * Draws a checkbox per profile (except the preferred one) for the alternates
+ * @param {*} checked codes to tick
+ */
+function renderProfileAlternates(checked) {
+    const box = document.getElementById("profileAlternates");
+    const preferred = document.getElementById("orderProfile").value;
+    const codes = __profiles.map(p => p.code).concat(checked.filter(c => !__profiles.some(p => p.code === c)));
+    box.innerHTML = "";
+    codes.filter(c => c !== "DIRECT" && c !== preferred).forEach((code) => {
+        const label = document.createElement("label");
+        label.className = "profile-alt";
+        const cb = document.createElement("input");
+        cb.type = "checkbox";
+        cb.value = code;
+        cb.checked = checked.includes(code);
+        const name = __profiles.find(p => p.code === code)?.name;
+        label.append(cb, document.createTextNode(name && name !== code ? `${name} (${code})` : code));
+        box.appendChild(label);
+    });
+}
+
+/**
+ * Reads the profile routing into the shape background expects (ALMA_ORDER_PROFILES)
+ * @returns { preferred, alternates: [], rules: [{ by, value, profile }] }
+ */
+function collectOrderProfiles() {
+    return {
+        preferred: document.getElementById("orderProfile").value || DEFAULT_ORDER_PROFILES.preferred,
+        alternates: Array.from(document.querySelectorAll("#profileAlternates input:checked")).map(cb => cb.value),
+        rules: Array.from(document.querySelectorAll("#profileRules .rule-row")).map((row) => ({
+            by: row.querySelector(".rule-by").value,
+            value: row.querySelector(".rule-value").value.trim().toUpperCase(),
+            profile: row.querySelector(".rule-profile").value
+        })).filter(r => r.value && r.profile)
+    };
+}
+
+/**
+ * Shows the saved routing, using the profile lists loaded so far
+ * @param {*} conf the routing { preferred, alternates, rules }
+ */
+function paintOrderProfiles(conf) {
+    fillCodeSelect(document.getElementById("orderProfile"), __profiles, conf.preferred);
+    renderProfileAlternates(conf.alternates || []);
+    document.getElementById("profileRules").innerHTML = "";
+    (conf.rules || []).forEach(addProfileRuleRow);
+}
+
+/**
+ * Once unlocked, lists the institution's New Order API profiles (and PO line types for the rule values)
+ */
+function loadOrderProfiles() {
+    chrome.runtime.sendMessage({
+        type: "GET_NEW_ORDER_PROFILES"
+    }, (res) => {
+        if (chrome.runtime.lastError || !res?.ok) {
+            setStatus("status", "Couldn't list New Order API profiles: " + (res?.error || chrome.runtime.lastError?.message), "err");
+            return;
+        }
+        const current = collectOrderProfiles();
+        __profiles = (res.profiles || []).concat([{
+            code: "DIRECT",
+            name: "No profile (direct)"
+        }]);
+        paintOrderProfiles(current);
+    });
+    chrome.runtime.sendMessage({
+        type: "GET_PO_LINE_TYPES"
+    }, (res) => {
+        const dl = document.getElementById("profileRuleValues");
+        (res?.codes || []).forEach((c) => {
+            const o = document.createElement("option");
+            o.value = c.code;
+            o.label = c.description || c.code;
+            dl.appendChild(o);
+        });
+    });
+}
+
+/**
+ * Renders the saved routing and the vendor suggestions for the rule value box
+ */
+function renderOrderProfiles() {
+    const dl = document.getElementById("profileRuleValues");
+    (self.AlmaVendors ? AlmaVendors.all().map(a => a.id) : []).forEach((v) => {
+        const o = document.createElement("option");
+        o.value = v;
+        dl.appendChild(o);
+    });
+    store.get(["ALMA_ORDER_PROFILES"], (res) => paintOrderProfiles(res.ALMA_ORDER_PROFILES || DEFAULT_ORDER_PROFILES));
+}
+
+document.addEventListener("DOMContentLoaded", renderOrderProfiles);
+document.getElementById("addProfileRule").addEventListener("click", () => addProfileRuleRow());
+document.getElementById("orderProfile").addEventListener("change", () => {
+    renderProfileAlternates(collectOrderProfiles().alternates);
+});
+
+// Environments (production, sandbox, ...)
+
+/**
+ * Fills the environment switcher and the selected environment's name and sandbox flag
+ */
+function loadEnvironments() {
+    chrome.runtime.sendMessage({
+        type: "GET_ENVIRONMENTS"
+    }, (res) => {
+        if (chrome.runtime.lastError || !res?.ok) return;
+        const sel = document.getElementById("envSelect");
+        sel.innerHTML = "";
+        res.environments.forEach((e) => {
+            const o = document.createElement("option");
+            o.value = e.id;
+            o.textContent = e.sandbox ? `${e.name} (sandbox)` : e.name;
+            sel.appendChild(o);
+        });
+        sel.value = res.active;
+        const active = res.environments.find(e => e.active);
+        document.getElementById("envName").value = active?.name || "";
+        document.getElementById("envSandbox").checked = !!active?.sandbox;
+        document.getElementById("deleteEnv").disabled = res.environments.length < 2;
+    });
+}
+
+/**
+ * Saves the active environment's name and sandbox flag into ALMA_ENVIRONMENTS
+ */
+async function saveEnvironmentDetails() {
+    const {
+        ALMA_ENVIRONMENTS,
+        ALMA_ACTIVE_ENV
+    } = await store.get(["ALMA_ENVIRONMENTS", "ALMA_ACTIVE_ENV"]);
+    const env = ALMA_ENVIRONMENTS?.[ALMA_ACTIVE_ENV];
+    if (!env) return;
+    env.name = (document.getElementById("envName").value || "").trim() || env.name;
+    env.sandbox = document.getElementById("envSandbox").checked;
+    await store.set({
+        ALMA_ENVIRONMENTS
+    });
+    loadEnvironments();
+}
+
+/**
+ * Sends an environment message to background and reloads the page so every section shows the new environment
+ * @param {*} msg the message ({ type: "SWITCH_ENVIRONMENT" | "CREATE_ENVIRONMENT", ... })
+ */
+function changeEnvironment(msg) {
+    chrome.runtime.sendMessage(msg, (res) => {
+        if (chrome.runtime.lastError || !res?.ok) {
+            setStatus("status", res?.error || chrome.runtime.lastError?.message || "Couldn't switch environment.", "err");
+            loadEnvironments();
+            return;
+        }
+        location.reload();
+    });
+}
+
+document.getElementById("envSelect").addEventListener("change", (e) => {
+    changeEnvironment({
+        type: "SWITCH_ENVIRONMENT",
+        id: e.currentTarget.value
+    });
+});
+
+document.getElementById("newEnv").addEventListener("click", () => {
+    const name = prompt("Name for the new environment (it starts as a sandbox with a copy of these settings, without the API key):", "Sandbox");
+    if (!name) return;
+    changeEnvironment({
+        type: "CREATE_ENVIRONMENT",
+        name,
+        sandbox: true
+    });
+});
+
+// Deleting the active environment switches to another one first (background refuses to delete the active one)
+document.getElementById("deleteEnv").addEventListener("click", () => {
+    const sel = document.getElementById("envSelect");
+    const current = sel.selectedOptions[0];
+    const other = Array.from(sel.options).find(o => o.value !== sel.value);
+    if (!current || !other) return;
+    if (!confirm(`Delete the "${current.textContent}" environment with its API key and order history? ` +
+            `You'll be switched to "${other.textContent}".`)) return;
+    chrome.runtime.sendMessage({
+        type: "SWITCH_ENVIRONMENT",
+        id: other.value
+    }, (res) => {
+        if (chrome.runtime.lastError || !res?.ok) {
+            setStatus("status", res?.error || "Couldn't switch environment.", "err");
+            return;
+        }
+        chrome.runtime.sendMessage({
+            type: "DELETE_ENVIRONMENT",
+            id: current.value
+        }, () => location.reload());
+    });
+});
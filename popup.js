@@ -12,9 +12,37 @@
 // helper
 const $ = (id) => document.getElementById(id);
 
+// Quota floor background uses until options set ALMA_QUOTA_FLOOR (same as background's DEFAULT_QUOTA_FLOOR)
+const DEFAULT_QUOTA_FLOOR = 500;
+
 // Scraped ISBN storage
 let __SCRAPED_ISBN = "";
 
+// Other scraped bibliographic details (isbns, author, publisher, date, edition, format) for the bib record
+let __SCRAPED_BIB = {};
+
+// Purchase request the order is being placed for ({ id, mms_id, requester_name }), or null
+let __PURCHASE_REQUEST = null;
+
+// Bib record created for an order Alma then rejected ({ mms_id, action }), reused when it's sent again
+let __ORDER_BIB = null;
+
+// Approval queue entry a supervisor is reviewing (popup.html?approval=...), or null
+let __APPROVAL = null;
+
+// URL of the vendor page the popup was opened on (kept in the order history)
+let __SOURCE_URL = "";
+
+// Funds from the last GET_FUNDS, keyed by code (for balance checks)
+let __FUNDS = {};
+
+// PO line being amended ({ number, encumbered: { fund: amount } }), or null when creating a new one
+let __EDITING = null;
+
+// Libraries from GET_LIBRARIES, and a promise of each library's locations (so each is asked for once)
+let __LIBRARIES = [];
+const __LOCATIONS = {};
+
 /**
  * If the given form field is currently blank, fill it with val.
  * If the user already typed something, we leave it alone.
@@ -45,6 +73,15 @@ function select2Init(id, opts = {}) {
     return $el;
 }
 
+/**
+ * Open the order history (a section of the options page) in a new tab
+ */
+function openHistory() {
+    chrome.tabs.create({
+        url: chrome.runtime.getURL("options.html#history")
+    });
+}
+
 /**
  * Open the options page in a new window
  */
@@ -53,6 +90,46 @@ function openOptions() {
     else window.open(chrome.runtime.getURL("options.html"));
 }
 
+/**
+ * Shows the environment switcher (when there is more than one) and marks sandbox environments
+ * @returns nothing
+ */
+function paintEnvironment() {
+    chrome.runtime.sendMessage({
+        type: "GET_ENVIRONMENTS"
+    }, (res) => {
+        if (!res?.ok) return;
+        const active = res.environments.find(e => e.active);
+        const sandbox = !!active?.sandbox;
+        document.body.classList.toggle("sandbox", sandbox);
+        $("sandboxBadge").style.display = sandbox ? "" : "none";
+
+        const sel = $("envSwitch");
+        sel.innerHTML = "";
+        res.environments.forEach(e => sel.appendChild(new Option(e.sandbox ? `${e.name} (sandbox)` : e.name, e.id)));
+        sel.value = res.active;
+        sel.style.display = res.environments.length > 1 ? "" : "none";
+    });
+}
+
+/**
+ * Switches background to another environment and reloads the popup against it
+ * @returns nothing
+ */
+function switchEnvironment() {
+    chrome.runtime.sendMessage({
+        type: "SWITCH_ENVIRONMENT",
+        id: $("envSwitch").value
+    }, (res) => {
+        if (!res?.ok) {
+            alert("Couldn't switch environment: " + (res?.error || "unknown error"));
+            paintEnvironment();
+            return;
+        }
+        location.reload();
+    });
+}
+
 /**
  * Shows/hides a banner at the top of the popup informing user that no API key is available.
  * Called if background says no unlocked key.
@@ -94,7 +171,7 @@ async function getVendorPrefill() {
 /**
  * If background has a Kanopy queue item, pulls the first item and pre-populates title, price, quantity,
  * currency, supplier ("Kanopy"), default PO line type = "electronic title - one time", 
- * default material type = "streaming", and receiving note (license, Kanopy ID)
+ * default material type = "streaming", access URL, license term and activation note (license, Kanopy ID)
  */
 // Only Kanopy cart tabs should ever apply vendor prefill
 (function maybePrefillFromVendor() {
@@ -129,48 +206,28 @@ async function getVendorPrefill() {
             if (c && !c.value) c.value = it.currency;
         }
 
-        setValueIfEmpty("url", "Kanopy");
-
-        // Default PO Line Type to Electronic Title - One Time
-        {
-            const poSel = document.getElementById("poType");
-            if (poSel && !poSel.dataset.prefilledByKanopy) {
-                const want = "electronic title - one time";
-                const opt = Array.from(poSel.options).find(
-                    (o) => (o.value || "").toLowerCase() === want
-                );
-                if (opt) {
-                    poSel.value = opt.value;
-                    poSel.dataset.prefilledByKanopy = "1";
-                    if (window.jQuery && window.jQuery("#poType").data("select2")) {
-                        window.jQuery("#poType").trigger("change");
-                    }
-                }
-            }
-        }
-
-        // Default Material Type to Streaming video (label "streaming")
-        {
-            const mt = document.getElementById("materialType");
-            if (mt && !mt.dataset.prefilledByKanopy) {
-                const opt = Array.from(mt.options).find(
-                    (o) => (o.value || "").toLowerCase() === "streaming"
-                );
-                if (opt) {
-                    mt.value = opt.value;
-                    mt.dataset.prefilledByKanopy = "1";
-                    if (window.jQuery && window.jQuery("#materialType").data("select2")) {
-                        window.jQuery("#materialType").trigger("change");
-                    }
-                }
-            }
+        // Supplier label and default PO line type / material type come from the Kanopy adapter (vendors.js)
+        const kanopy = AlmaVendors.byId("KANOPY");
+        setValueIfEmpty("url", kanopy?.label || "Kanopy");
+        applyVendorDefaults(kanopy);
+        refreshLocations();
+        refreshReceiveNow();
+        refreshElectronic();
+        refreshSubscription();
+        guessVendor();
+
+        // Electronic access: the title's Kanopy page, and a license term running from today
+        setValueIfEmpty("accessUrl", it.access_url || "");
+        if (it.license_years) {
+            const today = new Date().toISOString().slice(0, 10);
+            setValueIfEmpty("licenseStart", today);
+            setValueIfEmpty("licenseEnd", licenseEndDate(today, it.license_years));
         }
-
-        // Receiving note
-        const rn = [];
-        if (it.license) rn.push(`License: ${it.license}`);
-        if (it.kanopy_id) rn.push(`Kanopy ID: ${it.kanopy_id}`);
-        if (rn.length) setValueIfEmpty("receivingNote", rn.join("\n"));
+        const an = [];
+        if (it.license) an.push(`License: ${it.license}`);
+        if (it.kanopy_id) an.push(`Kanopy ID: ${it.kanopy_id}`);
+        if (an.length) setValueIfEmpty("activationNote", an.join("\n"));
+        applyKanopyLicense(it.license);
 
         if (typeof showToast === "function") showToast("Loaded details from Kanopy cart");
     });
@@ -179,15 +236,31 @@ async function getVendorPrefill() {
 
 /**
  * Puts number of remaining queries for the day for the API key at top of popup.
+ * Warns once it's within twice the quota floor, and says searches are paused below the floor
+ * (background refuses non-essential calls then).
  */
 function paintRemaining() {
-    chrome.storage.local.get(["ALMA_REMAINING"], ({
-        ALMA_REMAINING
+    chrome.storage.local.get(["ALMA_REMAINING", "ALMA_QUOTA_FLOOR"], ({
+        ALMA_REMAINING,
+        ALMA_QUOTA_FLOOR
     }) => {
         const pill = document.getElementById("usagePill");
         if (!pill) return;
-        const n = Number(ALMA_REMAINING);
-        pill.textContent = `Remaining queries: ${Number.isFinite(n) ? n : "—"}`;
+        const n = ALMA_REMAINING == null ? NaN : Number(ALMA_REMAINING);
+        const floor = Number(ALMA_QUOTA_FLOOR ?? DEFAULT_QUOTA_FLOOR);
+        let note = "";
+        let color = "";
+        if (Number.isFinite(n) && floor > 0 && n < floor) {
+            note = " — low, searches paused";
+            color = "#b91c1c";
+        } else if (Number.isFinite(n) && floor > 0 && n < floor * 2) {
+            note = " — running low";
+            color = "#b45309";
+        }
+        pill.textContent = `Remaining queries: ${Number.isFinite(n) ? n : "—"}${note}`;
+        pill.style.color = color;
+        pill.style.fontWeight = color ? "bold" : "";
+        pill.title = floor > 0 ? `Searches stop below ${floor} remaining calls so orders can still be placed.` : "";
     });
 }
 
@@ -216,7 +289,7 @@ async function waitForApiKey(timeoutMs = 5000, intervalMs = 250) {
 // Put remaining calls on load and keep updated if background changes ALMA_REMAINING.
 document.addEventListener("DOMContentLoaded", paintRemaining);
 chrome.storage.onChanged.addListener((c, a) => {
-    if (a === "local" && ("ALMA_REMAINING" in c)) paintRemaining();
+    if (a === "local" && ("ALMA_REMAINING" in c || "ALMA_QUOTA_FLOOR" in c)) paintRemaining();
 });
 
 window.__LOCKED__ = false;
@@ -235,7 +308,7 @@ function lockPopupUI(locked) {
     });
 
     if (window.jQuery) {
-        const ids = ["#fundSelect", "#reportCodeSelect", "#interestedUsers", "#poType"];
+        const ids = ["#fundSelect", "#reportCodeSelect", "#interestedUsers", "#poType", "#vendorSelect"];
         ids.forEach(sel => {
             const $el = window.jQuery(sel);
             if ($el.length) $el.prop("disabled", !!locked).trigger("change.select2");
@@ -281,6 +354,7 @@ function checkApiKeyAndGate() {
 // Runs when popup loads.
 document.addEventListener("DOMContentLoaded", () => {
     document.getElementById("openOptionsBtn")?.addEventListener("click", openOptions);
+    document.getElementById("openHistoryBtn")?.addEventListener("click", openHistory);
     checkApiKeyAndGate();
 });
 
@@ -359,52 +433,81 @@ function applyScrape(d = {}) {
     if (d.isbn) {
         __SCRAPED_ISBN = String(d.isbn).trim();
     }
+    ["isbns", "author", "publisher", "date", "edition", "format"].forEach((k) => {
+        if (d[k]?.length) __SCRAPED_BIB[k] = d[k];
+    });
+
+    // Default PO line type / material type for the vendor, then the location that goes with them
+    applyVendorDefaults(AlmaVendors.byHost(d.vendor) || AlmaVendors.bySupplier(d.supplier));
+    refreshLocations();
+    refreshReceiveNow();
+    refreshElectronic();
+    refreshSubscription();
+    applyLocationDefault();
+    guessVendor();
+}
+
+/**
+ * Selects the option of a <select> with the given Alma code.
+ * Only does this once per select so a later scrape doesn't undo the user's choice.
+ * @param {*} id the select id
+ * @param {*} code the Alma code wanted (e.g. "PRINT_OT")
+ * @returns nothing
+ */
+function selectDefaultByCode(id, code) {
+    const sel = $(id);
+    if (!sel || !code || sel.dataset.prefilledByVendor) return;
+    if (!Array.from(sel.options).some((o) => o.value === code)) return;
+    sel.value = code;
+    sel.dataset.prefilledByVendor = "1";
+    if (window.jQuery && window.jQuery("#" + id).data("select2")) {
+        window.jQuery("#" + id).trigger("change");
+    }
+}
+
+/**
+ * Applies a vendor adapter's default PO line type and material type to the form
+ * @param {*} adapter the vendor adapter from vendors.js (may be null)
+ * @returns nothing
+ */
+function applyVendorDefaults(adapter) {
+    if (!adapter?.defaults) return;
+    selectDefaultByCode("poType", adapter.defaults.po_line_type);
+    selectDefaultByCode("materialType", adapter.defaults.material_type);
+    if (adapter.defaults.access_provider && $("accessProvider") && !$("accessProvider").value) {
+        $("accessProvider").value = adapter.defaults.access_provider;
+    }
+    const model = adapter.defaults.access_model &&
+        Array.from($("accessModel")?.options || []).find(o => o.value && adapter.defaults.access_model.test(o.textContent));
+    if (model && !$("accessModel").value) $("accessModel").value = model.value;
 }
 
 /**
  * Fallback scraper
- * Injected directly into page through chrome.scripting if the content script doesn't respond
- * Scrapes price, currency, and title.
+ * Injected directly into page through chrome.scripting if the content script doesn't respond.
+ * Injects vendors.js first so the same adapters as the content script do the scraping.
  * @param {} tabId is the page to be scraped
  */
 function inlineScrape(tabId) {
     chrome.scripting.executeScript({
-            target: {
-                tabId
+        target: {
+            tabId
+        },
+        files: ["vendors.js"]
+    }, () => {
+        if (chrome.runtime.lastError) return;
+        chrome.scripting.executeScript({
+                target: {
+                    tabId
+                },
+                func: () => self.AlmaVendors.scrapePage(document, location)
             },
-            func: () => {
-                const out = {
-                    title: "",
-                    price: "",
-                    currency: "",
-                    vendor: location.hostname
-                };
-
-                // Title
-                const t1 = document.querySelector("#productTitle");
-                out.title = (t1?.textContent || document.title || "").trim();
-
-                // Price text
-                const priceNode =
-                    document.querySelector("#corePrice_feature_div .a-offscreen") ||
-                    document.querySelector(".a-price .a-offscreen") ||
-                    document.querySelector("[data-a-color='price'] .a-offscreen");
-                const txt = priceNode?.textContent?.trim() || "";
-                out.price = txt;
-
-                // Infer currency from symbols
-                if (txt.includes("$")) out.currency = "USD";
-                else if (txt.includes("£")) out.currency = "GBP";
-                else if (txt.includes("€")) out.currency = "EUR";
-
-                return out;
+            (res) => {
+                const data = res && res[0] && res[0].result;
+                if (data) applyScrape(data);
             }
-        },
-        (res) => {
-            const data = res && res[0] && res[0].result;
-            if (data) applyScrape(data);
-        }
-    );
+        );
+    });
 }
 
 /**
@@ -418,9 +521,11 @@ function prefillFromPage() {
     }, (tabs) => {
         const tabId = tabs && tabs[0] && tabs[0].id;
         if (!tabId) return;
+        __SOURCE_URL = tabs[0].url || "";
 
         // reset ISBN when scraping a new page
         __SCRAPED_ISBN = "";
+        __SCRAPED_BIB = {};
 
         chrome.tabs.sendMessage(tabId, {
             type: "SCRAPE_BOOK_INFO"
@@ -436,11 +541,39 @@ function prefillFromPage() {
 }
 
 
+/**
+ * Formats an amount for display, e.g. "$1,234.50" or "1,234.50 EUR"
+ * @param {*} n the amount
+ * @param {*} currency the currency code
+ * @returns the formatted amount
+ */
+function formatMoney(n, currency) {
+    const v = Number(n || 0).toLocaleString(undefined, {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+    });
+    return !currency || currency === "USD" ? `$${v}` : `${v} ${currency}`;
+}
+
+/**
+ * Dropdown label for a fund, with its balance and fiscal period when Alma sent them
+ * @param {*} f the fund from GET_FUNDS
+ * @returns the label
+ */
+function fundLabel(f) {
+    const extra = [
+        f.available != null && `avail ${formatMoney(f.available, f.currency)}`,
+        f.encumbered != null && `enc ${formatMoney(f.encumbered, f.currency)}`,
+        f.fiscal_period
+    ].filter(Boolean).join(", ");
+    return (f.name ? `${f.code} - ${f.name}` : f.code) + (extra ? ` (${extra})` : "");
+}
+
 /**
  * Asks background for the list of funds received from Alma
  * Populates the fund dropdown with those fund names, or no funds available if we didn't receive funds.
  * 
- * @returns nothing
+ * @returns a promise that resolves once the dropdown is filled
  */
 function loadFunds() {
     const id = "fundSelect";
@@ -464,7 +597,7 @@ function loadFunds() {
     }
 
 
-    chrome.runtime.sendMessage({
+    return new Promise((resolve) => chrome.runtime.sendMessage({
         type: "GET_FUNDS"
     }, (res) => {
         const list = Array.isArray(res?.funds) ? res.funds : [];
@@ -475,32 +608,184 @@ function loadFunds() {
         if (!list.length) {
             sel.disabled = true;
             initS2("No funds available");
-            return;
+            return resolve();
         }
 
         sel.disabled = false;
 
-        // Add an option for each fund code
+        // Add an option for each fund code, with its balance and fiscal period when Alma sent them
+        __FUNDS = {};
         list.forEach(f => {
             if (!f?.code) return;
+            __FUNDS[f.code] = f;
             const o = document.createElement("option");
             o.value = f.code;
-            o.textContent = f.name ? `${f.code} - ${f.name}` : f.code;
+            o.textContent = fundLabel(f);
             sel.appendChild(o);
         });
 
+        // Split rows added before the funds arrived get the list now
+        document.querySelectorAll("#fundSplitRows .fund-split-fund").forEach(fillFundOptions);
+
         // Force no selection so placeholder shows in Select2
         sel.value = "";
 
         initS2("Select a fund...");
+        resolve();
+    }));
+}
+
+/**
+ * Fills a split-row fund <select> with the funds loaded by loadFunds(), keeping its selection
+ * @param {*} sel the select element
+ * @returns nothing
+ */
+function fillFundOptions(sel) {
+    const prev = sel.value;
+    sel.innerHTML = "";
+    const blank = document.createElement("option");
+    blank.value = "";
+    sel.appendChild(blank);
+    Object.values(__FUNDS).forEach((f) => {
+        const o = document.createElement("option");
+        o.value = f.code;
+        o.textContent = fundLabel(f);
+        sel.appendChild(o);
+    });
+    sel.value = prev && __FUNDS[prev] ? prev : "";
+    if (window.jQuery && window.jQuery(sel).data("select2")) window.jQuery(sel).trigger("change.select2");
+}
+
+/**
+ * Adds a row (fund + share) to the split-funding section
+ * @param {*} code fund code to preselect
+ * @param {*} share percent or amount for the row
+ * @returns nothing
+ */
+function addFundSplitRow(code = "", share = "") {
+    const rows = $("fundSplitRows");
+    if (!rows) return;
+
+    const row = document.createElement("div");
+    row.className = "fund-split-row";
+
+    const sel = document.createElement("select");
+    sel.className = "fund-split-fund";
+    fillFundOptions(sel);
+    if (code) sel.value = code;
+
+    const inp = document.createElement("input");
+    inp.type = "number";
+    inp.min = "0";
+    inp.step = "0.01";
+    inp.className = "fund-split-share";
+    inp.value = share;
+    inp.addEventListener("input", refreshFundSplit);
+
+    const rm = document.createElement("button");
+    rm.type = "button";
+    rm.textContent = "Remove";
+    rm.addEventListener("click", () => {
+        row.remove();
+        refreshFundSplit();
     });
+
+    row.append(sel, inp, rm);
+    rows.appendChild(row);
+
+    if (window.jQuery) {
+        window.jQuery(sel).select2({
+            width: "100%",
+            allowClear: true,
+            placeholder: "Select a fund..."
+        });
+    }
+    refreshFundSplit();
+}
+
+/**
+ * Shows the first fund's share and the percent/amount switch only while the order is split,
+ * and keeps the running total next to the buttons up to date
+ * @returns nothing
+ */
+function refreshFundSplit() {
+    const split = document.querySelectorAll("#fundSplitRows .fund-split-row").length > 0;
+    $("primaryFundShareRow").style.display = split ? "flex" : "none";
+    $("fundSplitMode").style.display = split ? "" : "none";
+
+    const summary = $("fundSplitSummary");
+    if (!split) {
+        summary.textContent = "";
+        return;
+    }
+    const f = collectFundSplit();
+    const sum = f.lines.reduce((a, l) => a + (Number(l.share) || 0), 0);
+    if (f.mode === "percent") {
+        summary.textContent = `Total: ${+sum.toFixed(3)}% of 100%`;
+    } else {
+        const total = Number($("price")?.value || 0) * Math.max(1, Number($("quantity")?.value || 1));
+        const cur = $("currency")?.value || "USD";
+        summary.textContent = `Total: ${formatMoney(sum, cur)} of ${formatMoney(total, cur)}`;
+    }
+}
+
+/**
+ * Reads the split-funding rows (the main fund is always the first line)
+ * @returns { mode, lines: [{ fund, share }] }; lines is empty when the order isn't split
+ */
+function collectFundSplit() {
+    const mode = $("fundSplitMode")?.value === "amount" ? "amount" : "percent";
+    const rows = Array.from(document.querySelectorAll("#fundSplitRows .fund-split-row"));
+    if (!rows.length) return {
+        mode,
+        lines: []
+    };
+    const lines = [{
+        fund: $("fundSelect")?.value || "",
+        share: Number($("primaryFundShare")?.value || 0)
+    }];
+    rows.forEach((r) => lines.push({
+        fund: r.querySelector(".fund-split-fund")?.value || "",
+        share: Number(r.querySelector(".fund-split-share")?.value || 0)
+    }));
+    return {
+        mode,
+        lines
+    };
+}
+
+/**
+ * Checks that a split order names a fund on every line, uses each fund once, and that the
+ * shares add up to 100% or to the order total.
+ * @param {*} f is the form we have.
+ * @returns an error message, or null if the split (or a single fund) is fine
+ */
+function validateFundSplit(f) {
+    const lines = f.fund_split?.lines || [];
+    if (lines.length < 2) return null;
+    if (lines.some(l => !l.fund)) return "Choose a fund on every split line.";
+    if (new Set(lines.map(l => l.fund)).size !== lines.length) return "Each fund can only appear once in a split.";
+    if (lines.some(l => !(l.share > 0))) return "Every split line needs a share greater than zero.";
+
+    const sum = lines.reduce((a, l) => a + l.share, 0);
+    if (f.fund_split.mode === "percent") {
+        if (Math.abs(sum - 100) > 0.001) return `Fund percentages add up to ${+sum.toFixed(3)}%, not 100%.`;
+    } else {
+        const totalCents = Math.round(f.price * f.quantity * 100);
+        const sumCents = lines.reduce((a, l) => a + Math.round(l.share * 100), 0);
+        if (sumCents !== totalCents) {
+            return `Fund amounts add up to ${formatMoney(sumCents / 100, f.currency)}, ` +
+                `not the order total of ${formatMoney(totalCents / 100, f.currency)}.`;
+        }
+    }
+    return null;
 }
 
 /**
  * Asks background for the list of reporting codes received from Alma
  * Populates the reporting code dropdown with those reporting code names, 
  * or reporting codes not available if we didn't receive any.
- * @returns 
+ * @returns a promise that resolves once the dropdown is filled
  */
 function loadReportingCodes() {
     const id = "reportCodeSelect";
@@ -526,7 +811,7 @@ function loadReportingCodes() {
     // Save currently selected value
     const prev = sel.value;
 
-    chrome.runtime.sendMessage({
+    return new Promise((resolve) => chrome.runtime.sendMessage({
         type: "GET_REPORTING_CODES",
         level: 1
     }, (res) => {
@@ -540,7 +825,7 @@ function loadReportingCodes() {
             const msg = hadError ? "Reporting codes not available" : "No reporting codes found";
             sel.disabled = true;
             initS2(msg);
-            return;
+            return resolve();
         }
 
         // Add option for each reporting code
@@ -560,16 +845,287 @@ function loadReportingCodes() {
         }
 
         initS2("Choose reporting code...");
+        resolve();
+    }));
+}
+
+/**
+ * True for PO line types that receive physical copies (and so need a location)
+ * @param {*} code the Alma PO line type code
+ * @returns whether the type is physical
+ */
+function isPhysicalPoType(code) {
+    return /^(PRINT_|PHYSICAL_|PHYS_)/.test(String(code || "").toUpperCase());
+}
+
+/**
+ * True for recurring PO line types (AlmaVendors.isRecurringPoType()), with the description shown in the
+ * PO line type dropdown
+ * @param {*} code the Alma PO line type code
+ * @returns whether the type renews
+ */
+function isRecurringPoType(code) {
+    const text = Array.from($("poType")?.options || []).find(o => o.value === code)?.textContent || "";
+    return AlmaVendors.isRecurringPoType(code, text);
+}
+
+/**
+ * Asks background for a library's shelving locations (once per library)
+ * @param {*} library the library code
+ * @returns a promise of [{ code, name }]
+ */
+function loadLocations(library) {
+    if (!library) return Promise.resolve([]);
+    if (!__LOCATIONS[library]) {
+        __LOCATIONS[library] = new Promise((resolve) => {
+            chrome.runtime.sendMessage({
+                type: "GET_LOCATIONS",
+                library
+            }, (res) => {
+                const list = Array.isArray(res?.locations) ? res.locations : [];
+                if (!res?.ok) delete __LOCATIONS[library]; // ask again next time
+                resolve(list);
+            });
+        });
+    }
+    return __LOCATIONS[library];
+}
+
+/**
+ * Fills a library <select> from __LIBRARIES. Without libraries from Alma it offers just "MAIN".
+ * @param {*} sel the select element
+ * @param {*} want the library code to select (defaults to the current one)
+ * @returns nothing
+ */
+function fillLibraryOptions(sel, want) {
+    const prev = want || sel.value || "MAIN";
+    const libs = __LIBRARIES.length ? __LIBRARIES : [{
+        code: "MAIN",
+        name: "MAIN"
+    }];
+    sel.innerHTML = "";
+    libs.forEach((l) => {
+        const o = document.createElement("option");
+        o.value = l.code;
+        o.textContent = l.name && l.name !== l.code ? `${l.name} (${l.code})` : l.code;
+        sel.appendChild(o);
     });
+    sel.value = libs.some(l => l.code === prev) ? prev : libs[0].code;
 }
 
-// Maps UI choices to Alma material_type codes.
-const MATERIAL_CODE_MAP = {
-    "book": "BOOK",
-    "dvd": "DVD",
-    "ebook": "EBOOK",
-    "streaming": "STREAMING_VIDEO"
-};
+/**
+ * Fills a location <select> with the locations of a library. Without locations from Alma it offers just "MSTCK".
+ * @param {*} sel the select element
+ * @param {*} library the library code
+ * @param {*} want the location code to select
+ * @returns a promise that resolves once the options are in place
+ */
+async function fillLocationOptions(sel, library, want) {
+    const list = await loadLocations(library);
+    const locs = list.length ? list : [{
+        code: want || "MSTCK",
+        name: want || "MSTCK"
+    }];
+    sel.innerHTML = "";
+    locs.forEach((l) => {
+        const o = document.createElement("option");
+        o.value = l.code;
+        o.textContent = l.name && l.name !== l.code ? `${l.name} (${l.code})` : l.code;
+        sel.appendChild(o);
+    });
+    const pick = [want, "MSTCK"].find(c => c && locs.some(l => l.code === c));
+    sel.value = pick || locs[0].code;
+}
+
+/**
+ * Adds a location row (library, location, copies) to the receiving locations
+ * @param {*} library library code for the row (defaults to the owner library)
+ * @param {*} location location code for the row
+ * @param {*} quantity copies for the row
+ * @returns nothing
+ */
+function addLocationRow(library, location, quantity) {
+    const rows = $("locationRows");
+    if (!rows) return;
+    const first = !rows.children.length;
+
+    const row = document.createElement("div");
+    row.className = "location-row";
+
+    const lib = document.createElement("select");
+    lib.className = "location-library";
+    fillLibraryOptions(lib, library || $("ownerSelect")?.value);
+
+    const loc = document.createElement("select");
+    loc.className = "location-code";
+    fillLocationOptions(loc, lib.value, location);
+
+    const qty = document.createElement("input");
+    qty.type = "number";
+    qty.min = "1";
+    qty.className = "location-quantity";
+    qty.value = String(quantity || (first ? Math.max(1, Number($("quantity")?.value || 1)) : 1));
+
+    lib.addEventListener("change", () => fillLocationOptions(loc, lib.value));
+    [lib, loc, qty].forEach((el) => el.addEventListener("change", (e) => {
+        if (e.isTrusted) rows.dataset.touched = "1";
+        refreshLocations();
+    }));
+    qty.addEventListener("input", refreshLocations);
+
+    row.append(lib, loc, qty);
+    if (!first) {
+        const rm = document.createElement("button");
+        rm.type = "button";
+        rm.textContent = "Remove";
+        rm.addEventListener("click", () => {
+            row.remove();
+            rows.dataset.touched = "1";
+            refreshLocations();
+        });
+        row.appendChild(rm);
+    }
+    rows.appendChild(row);
+    refreshLocations();
+}
+
+/**
+ * Hides the locations for electronic PO line types, keeps a single row in step with the quantity,
+ * and shows how many copies are assigned when there are several rows
+ * @returns nothing
+ */
+function refreshLocations() {
+    const group = $("locationGroup");
+    if (!group) return;
+    group.style.display = isPhysicalPoType(normalizePoType($("poType")?.value)) ? "" : "none";
+
+    const rows = Array.from(document.querySelectorAll("#locationRows .location-row"));
+    const want = Math.max(1, Number($("quantity")?.value || 1));
+    if (rows.length === 1) {
+        rows[0].querySelector(".location-quantity").value = String(want);
+        $("locationSummary").textContent = "";
+        return;
+    }
+    const assigned = rows.reduce((a, r) => a + (Number(r.querySelector(".location-quantity")?.value) || 0), 0);
+    $("locationSummary").textContent = `${assigned} of ${want} copies assigned`;
+}
+
+/**
+ * Reads the location rows
+ * @returns [{ library, location, quantity }]
+ */
+function collectLocations() {
+    return Array.from(document.querySelectorAll("#locationRows .location-row")).map((r) => ({
+        library: r.querySelector(".location-library")?.value || "",
+        location: r.querySelector(".location-code")?.value || "",
+        quantity: Number(r.querySelector(".location-quantity")?.value || 0)
+    }));
+}
+
+/**
+ * For physical lines, checks every location row has a location and the copies add up to the quantity
+ * @param {*} f is the form we have.
+ * @returns an error message, or null if the locations are fine
+ */
+function validateLocations(f) {
+    if (!isPhysicalPoType(f.po_line_type) || !f.locations?.length) return null;
+    if (f.locations.some(l => !l.location)) return "Choose a location on every location row.";
+    if (f.locations.some(l => !(l.quantity > 0))) return "Every location needs at least one copy.";
+    const sum = f.locations.reduce((a, l) => a + l.quantity, 0);
+    if (sum !== f.quantity) return `Locations have ${sum} copies but the quantity is ${f.quantity}.`;
+    return null;
+}
+
+/**
+ * Picks the default owner library and location from the rules saved in options (ALMA_LOCATION_DEFAULTS):
+ * a rule for the material type wins over one for the vendor, which wins over the fallback rule.
+ * Does nothing once the user has changed the locations themselves.
+ * @returns nothing
+ */
+async function applyLocationDefault() {
+    const rows = $("locationRows");
+    if (!rows || rows.dataset.touched) return;
+    const {
+        ALMA_LOCATION_DEFAULTS
+    } = await chrome.storage.local.get(["ALMA_LOCATION_DEFAULTS"]);
+    const rules = Array.isArray(ALMA_LOCATION_DEFAULTS) ? ALMA_LOCATION_DEFAULTS : [];
+    if (!rules.length) return;
+
+    const material = getMaterialTypeCode();
+    const vendor = AlmaVendors.bySupplier($("url")?.value)?.id || "";
+    const eq = (a, b) => String(a || "").toUpperCase() === String(b || "").toUpperCase();
+    const rule = rules.find(r => r.by === "material" && eq(r.value, material)) ||
+        rules.find(r => r.by === "vendor" && eq(r.value, vendor)) ||
+        rules.find(r => r.by === "default");
+    if (!rule?.library || rows.dataset.touched) return;
+
+    const owner = $("ownerSelect");
+    if (owner) fillLibraryOptions(owner, rule.library);
+    rows.innerHTML = "";
+    addLocationRow(rule.library, rule.location);
+}
+
+/**
+ * Asks background for the institution's libraries and fills the owner library and location rows
+ * @returns a promise that resolves once the libraries are in place
+ */
+function loadLibraries() {
+    return new Promise((resolve) => chrome.runtime.sendMessage({
+        type: "GET_LIBRARIES"
+    }, (res) => {
+        __LIBRARIES = Array.isArray(res?.libraries) ? res.libraries : [];
+        const owner = $("ownerSelect");
+        if (owner) fillLibraryOptions(owner, owner.value || "MAIN");
+
+        document.querySelectorAll("#locationRows .location-row").forEach((r) => {
+            const lib = r.querySelector(".location-library");
+            const loc = r.querySelector(".location-code");
+            fillLibraryOptions(lib);
+            fillLocationOptions(loc, lib.value, loc.value);
+        });
+        if (!document.querySelector("#locationRows .location-row")) addLocationRow();
+        applyLocationDefault();
+        resolve();
+    }));
+}
+
+/**
+ * Replaces a dropdown's options with the rows of an Alma code table fetched by background
+ * (GET_PO_LINE_TYPES / GET_MATERIAL_TYPES), keeping the current choice if Alma still has it.
+ * If the table can't be loaded the built-in options in popup.html stay.
+ * @param {*} id the select id
+ * @param {*} type the background message type
+ * @param {*} fallback code to select when the current one isn't in the table
+ * @returns a promise that resolves once the dropdown is filled
+ */
+function loadCodeTableSelect(id, type, fallback) {
+    const sel = $(id);
+    if (!sel) return Promise.resolve();
+    return new Promise((resolve) => chrome.runtime.sendMessage({
+        type
+    }, (res) => {
+        const list = Array.isArray(res?.codes) ? res.codes : [];
+        if (!list.length) {
+            console.warn(`[AlmaExt] ${type} unavailable, keeping built-in list:`, res?.error || res);
+            return resolve();
+        }
+        const prev = sel.value;
+        sel.innerHTML = "";
+        list.forEach((c) => {
+            const o = document.createElement("option");
+            o.value = c.code;
+            o.textContent = c.description && c.description !== c.code ? `${c.description} (${c.code})` : c.code;
+            sel.appendChild(o);
+        });
+        const pick = [prev, fallback].find(c => c && list.some(x => x.code === c));
+        sel.value = pick || list[0].code;
+        if (window.jQuery && window.jQuery("#" + id).data("select2")) window.jQuery("#" + id).trigger("change");
+
+        // A vendor default missing from the built-in list may exist in Alma's table
+        applyVendorDefaults(AlmaVendors.bySupplier($("url")?.value));
+        resolve();
+    }));
+}
 
 /**
  * Applies Select2 to the material type dropdown
@@ -587,14 +1143,43 @@ function initMaterialTypeSelect() {
 }
 
 /**
- * Convert UI selection to Alma material_type code (defaults to BOOK if empty)
- * @returns  the code
+ * Returns the value if it is one of the codes offered in a dropdown, otherwise ""
+ * (unknown values are rejected by validateForm() rather than defaulted)
+ * @param {*} id the select id
+ * @param {*} val the value to check
+ * @returns the code or ""
+ */
+function knownCode(id, val) {
+    const code = String(val || "").trim();
+    const sel = $(id);
+    if (!code || !sel) return "";
+    return Array.from(sel.options).some(o => o.value === code) ? code : "";
+}
+
+/**
+ * Maps a material type option value to its Alma code
+ * @param {*} raw the option value
+ * @returns the code, or "" if unknown
+ */
+function materialCodeFor(raw) {
+    return knownCode("materialType", raw);
+}
+
+/**
+ * Alma material_type code currently selected
+ * @returns the code, or "" if nothing valid is selected
  */
 function getMaterialTypeCode() {
-    const raw = (document.getElementById("materialType")?.value || "").trim();
-    if (!raw) return "BOOK"; // default if user didn’t pick
-    const code = MATERIAL_CODE_MAP[raw.toLowerCase()];
-    return code || "BOOK";
+    return materialCodeFor(document.getElementById("materialType")?.value);
+}
+
+/**
+ * Alma PO line type code for a dropdown value
+ * @param {*} val the dropdown value
+ * @returns the code, or "" if unknown
+ */
+function normalizePoType(val) {
+    return knownCode("poType", val);
 }
 
 /**
@@ -632,6 +1217,7 @@ async function isKanopyVendorPrefill() {
  * tell background to advance the queue to the next item and open a new popup for it.
  */
 function advanceKanopyQueue() {
+    __ORDER_BIB = null;
     chrome.runtime.sendMessage({
         type: "ADVANCE_VENDOR_PREFILL"
     }, () => {});
@@ -736,44 +1322,148 @@ function initInterestedUsers() {
 }
 
 /**
- * Reads the selected interested users from interestedUsers
- * and converts them into the shape background.js expects.
- * @returns the interested users in the shape background.js expects.
+ * Turns vendorSelect into a Select2 search over active Alma vendors (SEARCH_VENDORS).
+ * The guessed vendor for the page is preselected by guessVendor(); picking another one overrides it.
+ * A picked vendor is checked with GET_VENDOR: inactive or unknown vendors are removed with an alert.
+ * @returns nothing
  */
-function gatherInterestedUsers() {
-    const sel = document.getElementById("interestedUsers");
-    if (!sel) return [];
-    return Array.from(sel.selectedOptions).map(o => ({
-        primary_id: o.value,
-        hold_item: true,
-        notify_receiving_activation: true
-    }));
+function initVendorSelect() {
+    const el = $("vendorSelect");
+    if (!el || !window.jQuery) return;
+    const $el = window.jQuery(el);
+    if ($el.data("select2")) $el.select2("destroy");
+
+    $el.select2({
+        width: "100%",
+        allowClear: true,
+        placeholder: "Search Alma vendors",
+        minimumInputLength: 2,
+        ajax: {
+            delay: 300,
+            transport: function(params, success, failure) {
+                chrome.runtime.sendMessage({
+                    type: "SEARCH_VENDORS",
+                    term: (params?.data?.term || "").trim(),
+                    page: Math.max(1, Number(params?.data?.page || 1)),
+                    limit: 20
+                }, (res) => {
+                    if (!res?.ok) return failure(res?.error || "search error");
+                    success({
+                        results: (res.vendors || []).map(v => ({
+                            id: v.code,
+                            text: v.name && v.name !== v.code ? `${v.name} (${v.code})` : v.code
+                        })),
+                        pagination: {
+                            more: !!res.more
+                        }
+                    });
+                });
+            },
+            processResults: (data) => data
+        },
+        language: {
+            searching: () => "Searching...",
+            noResults: () => "No active vendors found",
+            inputTooShort: () => "Type vendor name or code."
+        }
+    });
+
+    $el.on("select2:select", (e) => {
+        el.dataset.touched = "1";
+        loadVendorAccounts(e?.params?.data?.id, "", true);
+    });
+    $el.on("select2:clear", () => {
+        el.dataset.touched = "1";
+        loadVendorAccounts("");
+    });
 }
 
 /**
- * Reads all user inputs from the popup form and normalises them so they are ready to send to the background.
- * @returns the normalised values.
+ * Fills the vendor account dropdown from the vendor's record in Alma
+ * @param {*} code the vendor code
+ * @param {*} want account to preselect
+ * @param {*} validate if true, an inactive or unknown vendor is removed from vendorSelect with an alert
+ * @returns nothing
  */
-function collectForm() {
-    const normalizePoType = (val) => {
-        const s = String(val || "").trim().toLowerCase();
-        if (!s) return "PRINT_OT";
-        const map = {
-            "print book - one time": "PRINT_OT",
-            "physical - one time": "PRINT_OT",
-            "print journal - one time": "PRINT_JNL_OT",
-            "electronic book - one time": "E_BOOK_OT",
-            "electronic journal - one time": "E_JOURNAL_OT",
-            "electronic collection - one time": "E_COLLECTION_OT",
-            "electronic title - one time": "ELECTRONIC_TITLE_OT",
-            "database service - one time": "DB_SERVICE_OT",
-            "physical computer file - one time": "PHYS_COMPFILE_OT",
-            "remote computer file - one time": "REM_COMPFILE_OT"
-        };
-        if (/^[A-Z0-9_]+$/.test(val)) return val;
-        return map[s] || "PRINT_OT";
+function loadVendorAccounts(code, want = "", validate = false) {
+    const sel = $("vendorAccount");
+    if (!sel) return;
+    const reset = () => {
+        sel.innerHTML = "";
+        const o = document.createElement("option");
+        o.value = "";
+        o.textContent = "Default account";
+        sel.appendChild(o);
     };
+    reset();
+    if (!code) return;
+
+    chrome.runtime.sendMessage({
+        type: "GET_VENDOR",
+        code
+    }, (res) => {
+        if (validate && (!res?.ok || !res.vendor?.active)) {
+            const why = res?.ok ? "is not active" : `was not found (${res?.status || "error"})`;
+            const opt = Array.from($("vendorSelect").options).find(o => o.value === code);
+            if (opt) opt.remove();
+            window.jQuery?.("#vendorSelect").val(null).trigger("change");
+            alert(`Vendor "${code}" ${why} in Alma.`);
+            return;
+        }
+        (res?.vendor?.accounts || []).filter(a => a.active).forEach((a) => {
+            const o = document.createElement("option");
+            o.value = a.code;
+            o.textContent = a.description ? `${a.description} (${a.code})` : a.code;
+            sel.appendChild(o);
+        });
+        if (want && Array.from(sel.options).some(o => o.value === want)) sel.value = want;
+        else if (sel.options.length === 2) sel.value = sel.options[1].value; // only one account: use it
+    });
+}
+
+/**
+ * Preselects the Alma vendor the current supplier maps to (options vendor mapping or adapter default),
+ * unless the user already picked a vendor
+ * @returns nothing
+ */
+function guessVendor() {
+    const el = $("vendorSelect");
+    const supplier = $("url")?.value?.trim() || "";
+    if (!el || el.dataset.touched || !supplier) return;
+
+    chrome.runtime.sendMessage({
+        type: "RESOLVE_VENDOR",
+        supplier
+    }, (res) => {
+        const r = res?.route;
+        if (!r?.code || el.dataset.touched) return;
+        el.innerHTML = "";
+        el.appendChild(new Option(r.name && r.name !== r.code ? `${r.name} (${r.code})` : r.code, r.code, true, true));
+        window.jQuery?.("#vendorSelect").trigger("change");
+        loadVendorAccounts(r.code, r.account);
+    });
+}
+
+/**
+ * Reads the selected interested users from interestedUsers
+ * and converts them into the shape background.js expects.
+ * @returns the interested users in the shape background.js expects.
+ */
+function gatherInterestedUsers() {
+    const sel = document.getElementById("interestedUsers");
+    if (!sel) return [];
+    return Array.from(sel.selectedOptions).map(o => ({
+        primary_id: o.value,
+        hold_item: true,
+        notify_receiving_activation: true
+    }));
+}
 
+/**
+ * Reads all user inputs from the popup form and normalises them so they are ready to send to the background.
+ * @returns the normalised values.
+ */
+function collectForm() {
     const supplier = document.getElementById("url")?.value?.trim() || "";
 
     return {
@@ -782,19 +1472,405 @@ function collectForm() {
         currency: document.getElementById("currency")?.value || "USD",
         quantity: Math.max(1, Number(document.getElementById("quantity")?.value || 1)),
         supplier,
+        vendor_code: document.getElementById("vendorSelect")?.value || "",
+        vendor_name: document.getElementById("vendorSelect")?.selectedOptions?.[0]?.textContent || "",
+        vendor_account: document.getElementById("vendorAccount")?.value || "",
         po_line_type: normalizePoType(document.getElementById("poType")?.value),
         material_type: getMaterialTypeCode(),
         fund: document.getElementById("fundSelect")?.value || "",
+        fund_split: collectFundSplit(),
         reporting_code: document.getElementById("reportCodeSelect")?.value || "",
         receiving_note: document.getElementById("receivingNote")?.value?.trim() || "",
         interested_users: gatherInterestedUsers(),
         manual_packaging: false,
-        owner: "MAIN",
-        location_code: "MSTCK",
-        isbn: __SCRAPED_ISBN || ""
+        owner: document.getElementById("ownerSelect")?.value || "MAIN",
+        locations: collectLocations(),
+        location_code: collectLocations()[0]?.location || "MSTCK",
+        isbn: __SCRAPED_ISBN || "",
+        isbns: __SCRAPED_BIB.isbns || [],
+        author: __SCRAPED_BIB.author || "",
+        publisher: __SCRAPED_BIB.publisher || "",
+        publication_date: __SCRAPED_BIB.date || "",
+        edition: __SCRAPED_BIB.edition || "",
+        format: __SCRAPED_BIB.format || "",
+        source_url: __SOURCE_URL,
+        purchase_request_id: __PURCHASE_REQUEST?.id || "",
+        mms_id: __PURCHASE_REQUEST?.mms_id || __ORDER_BIB?.mms_id || "",
+        approval_id: __APPROVAL?.id || "",
+        prepaid: collectPrepaid(),
+        receive: collectReceiveNow(),
+        electronic: collectElectronic(),
+        subscription: collectSubscription()
+    };
+}
+
+/**
+ * Reads the subscription fields
+ * @returns { start, end, renewal_date, renewal_period (days), reminder_days, manual_renewal, renewal_note },
+ * or null for one-time lines
+ */
+function collectSubscription() {
+    if (!isRecurringPoType(normalizePoType($("poType")?.value))) return null;
+    return {
+        start: $("subscriptionStart").value || "",
+        end: $("subscriptionEnd").value || "",
+        renewal_date: $("renewalDate").value || "",
+        renewal_period: Number($("renewalPeriod").value) || 0,
+        reminder_days: Math.max(0, Math.floor(Number($("renewalReminder").value) || 0)),
+        manual_renewal: $("manualRenewal").checked,
+        renewal_note: $("renewalNote").value.trim()
     };
 }
 
+/**
+ * Shows the subscription fields for recurring PO line types (not while amending a line). For a recurring
+ * electronic line the subscription period stands in for the license term, so that's hidden and carried over.
+ * @returns nothing
+ */
+function refreshSubscription() {
+    const group = $("subscriptionGroup");
+    if (!group) return;
+    const recurring = !__EDITING && isRecurringPoType(normalizePoType($("poType")?.value));
+    group.style.display = recurring ? "" : "none";
+    $("licenseTermLabel").style.display = recurring ? "none" : "";
+    $("licenseTerm").style.display = recurring ? "none" : "";
+    if (!recurring) return;
+    setValueIfEmpty("subscriptionStart", $("licenseStart").value);
+    setValueIfEmpty("subscriptionEnd", $("licenseEnd").value);
+    setValueIfEmpty("renewalDate", $("subscriptionEnd").value);
+}
+
+/**
+ * Checks the subscription fields: the period ends after it starts, and renewal falls within or after it
+ * @param {*} f is the form we have.
+ * @returns an error message, or null if the fields are fine
+ */
+function validateSubscription(f) {
+    const sub = f.subscription;
+    if (!sub) return null;
+    if (sub.start && sub.end && sub.end < sub.start) return "The subscription period ends before it starts.";
+    if (sub.start && sub.renewal_date && sub.renewal_date < sub.start) return "The renewal date is before the subscription starts.";
+    return null;
+}
+
+/**
+ * Reads the electronic access fields
+ * @returns { url, access_provider, access_model, license, license_start, license_end, activation_note },
+ * or null for physical lines
+ */
+function collectElectronic() {
+    const type = normalizePoType($("poType")?.value);
+    if (isPhysicalPoType(type)) return null;
+    // A recurring line's term is its subscription period (collectSubscription())
+    const recurring = isRecurringPoType(type);
+    return {
+        url: $("accessUrl")?.value.trim() || "",
+        access_provider: $("accessProvider")?.value.trim() || "",
+        access_model: $("accessModel")?.value || "",
+        license: $("licenseSelect")?.value || "",
+        license_start: recurring ? "" : $("licenseStart")?.value || "",
+        license_end: recurring ? "" : $("licenseEnd")?.value || "",
+        activation_note: $("activationNote")?.value.trim() || ""
+    };
+}
+
+/**
+ * Shows the electronic access fields for non-physical PO line types (not while amending a line)
+ * @returns nothing
+ */
+function refreshElectronic() {
+    const group = $("electronicGroup");
+    if (!group) return;
+    group.style.display = !__EDITING && !isPhysicalPoType(normalizePoType($("poType")?.value)) ? "" : "none";
+}
+
+/**
+ * Checks the electronic access fields: a web address for the URL, and a license term that ends after it starts
+ * @param {*} f is the form we have.
+ * @returns an error message, or null if the fields are fine
+ */
+function validateElectronic(f) {
+    const e = f.electronic;
+    if (!e) return null;
+    if (e.url && !/^https?:\/\/\S+$/i.test(e.url)) return "The access URL should start with http:// or https://.";
+    if (e.license_start && e.license_end && e.license_end < e.license_start) return "The license term ends before it starts.";
+    return null;
+}
+
+/**
+ * The last day of a license of so many years starting on a date
+ * @param {*} start the first day, YYYY-MM-DD
+ * @param {*} years the license length
+ * @returns the last day, YYYY-MM-DD
+ */
+function licenseEndDate(start, years) {
+    const d = new Date(`${start}T00:00:00Z`);
+    d.setUTCFullYear(d.getUTCFullYear() + years);
+    d.setUTCDate(d.getUTCDate() - 1);
+    return d.toISOString().slice(0, 10);
+}
+
+/**
+ * One line about a license for under the picker: status, review status, term and licensor
+ * @param {*} l the license from background (shapeLicense())
+ * @returns the description
+ */
+function describeLicense(l) {
+    if (!l) return "";
+    return [l.status || (l.active ? "Active" : "Inactive"),
+        l.review_status && `review ${l.review_status}`,
+        (l.start_date || l.end_date) && `${l.start_date || "…"} to ${l.end_date || "open-ended"}`,
+        l.licensor && `licensor ${l.licensor}`
+    ].filter(Boolean).join(" · ");
+}
+
+/**
+ * Shows a license's details under the picker, warning when it isn't active
+ * @param {*} l the license, or null to clear
+ * @returns nothing
+ */
+function showLicenseInfo(l) {
+    const info = $("licenseInfo");
+    if (!info) return;
+    info.textContent = l ? (l.active ? "" : "Not active: ") + describeLicense(l) : "";
+    info.classList.toggle("field-error", !!l && !l.active);
+}
+
+/**
+ * Applies Select2 to the license picker, searching Alma licenses as the user types (SEARCH_LICENSES)
+ * @returns nothing
+ */
+function initLicenseSelect() {
+    const el = $("licenseSelect");
+    if (!el || !window.jQuery) return;
+    const $el = window.jQuery(el);
+    if ($el.data("select2")) $el.select2("destroy");
+
+    $el.select2({
+        width: "100%",
+        allowClear: true,
+        placeholder: "Search Alma licenses",
+        minimumInputLength: 2,
+        ajax: {
+            delay: 300,
+            transport: function(params, success, failure) {
+                chrome.runtime.sendMessage({
+                    type: "SEARCH_LICENSES",
+                    term: (params?.data?.term || "").trim(),
+                    page: Math.max(1, Number(params?.data?.page || 1)),
+                    limit: 20
+                }, (res) => {
+                    if (!res?.ok) return failure(res?.error || "search error");
+                    success({
+                        results: (res.licenses || []).map(l => ({
+                            id: l.code,
+                            text: `${l.name && l.name !== l.code ? `${l.name} (${l.code})` : l.code} – ${describeLicense(l)}`,
+                            license: l
+                        })),
+                        pagination: {
+                            more: !!res.more
+                        }
+                    });
+                });
+            },
+            processResults: (data) => data
+        },
+        language: {
+            searching: () => "Searching...",
+            noResults: () => "No licenses found",
+            inputTooShort: () => "Type license name or code."
+        }
+    });
+
+    $el.on("select2:select", (e) => showLicenseInfo(e?.params?.data?.license));
+    $el.on("select2:clear", () => showLicenseInfo(null));
+}
+
+/**
+ * Selects a license by code, loading its status and term from Alma (GET_LICENSE)
+ * @param {*} code the license code; blank clears the picker
+ * @returns nothing
+ */
+function setLicense(code) {
+    const sel = $("licenseSelect");
+    if (!sel) return;
+    sel.innerHTML = "";
+    showLicenseInfo(null);
+    if (code) {
+        sel.appendChild(new Option(code, code, true, true));
+        chrome.runtime.sendMessage({
+            type: "GET_LICENSE",
+            code
+        }, (res) => {
+            if (!res?.ok || sel.value !== code) return;
+            sel.options[sel.selectedIndex].textContent = res.license.name && res.license.name !== code ?
+                `${res.license.name} (${code})` : code;
+            if (window.jQuery) window.jQuery(sel).trigger("change");
+            showLicenseInfo(res.license);
+        });
+    }
+    if (window.jQuery) window.jQuery(sel).trigger("change");
+}
+
+/**
+ * Kanopy: picks the license options maps to the cart item's license duration (ALMA_KANOPY_LICENSES),
+ * unless one is already chosen
+ * @param {*} duration the license duration from the Kanopy cart, e.g. "1 Year"
+ * @returns nothing
+ */
+async function applyKanopyLicense(duration) {
+    if (!duration || $("licenseSelect")?.value) return;
+    const {
+        ALMA_KANOPY_LICENSES
+    } = await chrome.storage.local.get(["ALMA_KANOPY_LICENSES"]);
+    const want = String(duration).trim().toUpperCase();
+    const hit = (Array.isArray(ALMA_KANOPY_LICENSES) ? ALMA_KANOPY_LICENSES : [])
+        .find(r => String(r.duration || "").trim().toUpperCase() === want);
+    if (hit?.code) setLicense(hit.code);
+}
+
+/**
+ * Fills the concurrent users dropdown from Alma's access model code table (GET_ACCESS_MODELS),
+ * keeping "Not set" first. Leaves just "Not set" if the table can't be loaded.
+ * @returns a promise that resolves once the dropdown is filled
+ */
+function loadAccessModels() {
+    const sel = $("accessModel");
+    if (!sel) return Promise.resolve();
+    return new Promise((resolve) => chrome.runtime.sendMessage({
+        type: "GET_ACCESS_MODELS"
+    }, (res) => {
+        const list = Array.isArray(res?.codes) ? res.codes : [];
+        if (!list.length) {
+            console.warn("[AlmaExt] GET_ACCESS_MODELS unavailable:", res?.error || res);
+            return resolve();
+        }
+        const prev = sel.value;
+        sel.length = 1;
+        list.forEach(c => sel.add(new Option(c.description && c.description !== c.code ?
+            `${c.description} (${c.code})` : c.code, c.code)));
+        if (list.some(c => c.code === prev)) sel.value = prev;
+        applyVendorDefaults(AlmaVendors.bySupplier($("url")?.value));
+        resolve();
+    }));
+}
+
+/**
+ * Reads the "Received now" section, for physical copies already in hand
+ * @returns { barcodes: [] }, or null when the box is unticked or the line isn't physical
+ */
+function collectReceiveNow() {
+    if (!$("receiveNow")?.checked || $("receiveGroup").style.display === "none") return null;
+    return {
+        barcodes: $("receiveBarcodes").value.split(/[\r\n,]+/).map(b => b.trim()).filter(Boolean)
+    };
+}
+
+/**
+ * Offers "Received now" for one-time physical PO line types only, with the barcode box shown while it's ticked
+ * @returns nothing
+ */
+function refreshReceiveNow() {
+    const group = $("receiveGroup");
+    if (!group || __EDITING) return;
+    const type = normalizePoType($("poType")?.value);
+    // Recurring lines receive each issue or volume as it arrives, not at order time
+    group.style.display = isPhysicalPoType(type) && !isRecurringPoType(type) ? "" : "none";
+    $("receiveFields").style.display = $("receiveNow").checked ? "" : "none";
+}
+
+/**
+ * Checks the barcodes entered for "Received now": no more than the copies ordered, and no repeats
+ * @param {*} f is the form we have.
+ * @returns an error message, or null if the barcodes are fine
+ */
+function validateReceiveNow(f) {
+    const barcodes = f.receive?.barcodes || [];
+    if (barcodes.length > f.quantity) return `${barcodes.length} barcodes entered for ${f.quantity} copies.`;
+    const repeated = barcodes.find((b, i) => barcodes.indexOf(b) !== i);
+    return repeated ? `Barcode ${repeated} is entered twice.` : null;
+}
+
+/**
+ * Reads the "Already paid" section, for orders paid by card at checkout that need an invoice in Alma
+ * @returns { order_number, invoice_date, card_reference, shipping, tax }, or null when the box is unticked
+ */
+function collectPrepaid() {
+    if (!$("prepaid")?.checked) return null;
+    return {
+        order_number: $("prepaidOrderNumber").value.trim(),
+        invoice_date: $("prepaidInvoiceDate").value || new Date().toISOString().slice(0, 10),
+        card_reference: $("prepaidCardReference").value.trim(),
+        shipping: Math.max(0, Number($("prepaidShipping").value || 0)),
+        tax: Math.max(0, Number($("prepaidTax").value || 0))
+    };
+}
+
+/**
+ * Shows or hides the "Already paid" fields with its checkbox, defaulting the invoice date to today
+ * @returns nothing
+ */
+function togglePrepaid() {
+    const on = $("prepaid").checked;
+    $("prepaidFields").style.display = on ? "" : "none";
+    if (on && !$("prepaidInvoiceDate").value) $("prepaidInvoiceDate").value = new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Compares each fund's part of the order total (price × quantity, divided per the split if any)
+ * with that fund's available balance.
+ * Skipped for funds without a balance from Alma or in a different currency.
+ * @param {*} f is the form we have.
+ * @returns a list of shortfall descriptions (empty if the funds cover the order)
+ */
+function checkFundBalance(f) {
+    const total = +(Number(f.price || 0) * Number(f.quantity || 1)).toFixed(2);
+    const lines = f.fund_split?.lines?.length > 1 ? f.fund_split.lines : [{
+        fund: f.fund,
+        share: 100
+    }];
+    const percent = !(f.fund_split?.lines?.length > 1) || f.fund_split.mode === "percent";
+
+    const problems = [];
+    lines.forEach((l) => {
+        const fund = __FUNDS[l.fund];
+        if (!fund || fund.available == null) return;
+        if (fund.currency && f.currency && fund.currency !== f.currency) return;
+        const part = +(percent ? total * l.share / 100 : l.share).toFixed(2);
+        // When amending, what the line already encumbers on this fund is freed by the change
+        const available = fund.available + (__EDITING?.encumbered?.[l.fund] || 0);
+        if (part <= available) return;
+        problems.push(`${l.fund}: needs ${formatMoney(part, f.currency)}, ` +
+            `available ${formatMoney(available, fund.currency || f.currency)}` +
+            `${fund.fiscal_period ? " (" + fund.fiscal_period + ")" : ""}.`);
+    });
+    return problems;
+}
+
+/**
+ * Applies the fund balance rule from the options page (ALMA_FUND_BALANCE_MODE: "warn", "block" or "off").
+ * @param {*} f is the form we have.
+ * @returns true if the order should go ahead
+ */
+async function confirmFundBalance(f) {
+    const problems = checkFundBalance(f);
+    if (!problems.length) return true;
+    const {
+        ALMA_FUND_BALANCE_MODE
+    } = await chrome.storage.local.get(["ALMA_FUND_BALANCE_MODE"]);
+    const mode = ALMA_FUND_BALANCE_MODE || "warn";
+    if (mode === "off") return true;
+    if (mode === "block") {
+        alert("Order exceeds the available fund balance:\n" + problems.join("\n") +
+            "\nChoose another fund or lower the quantity.");
+        return false;
+    }
+    return confirmWithPanel("Over the fund's available balance", problems.map((p) => ({
+        title: p,
+        details: ["Ordering will over-encumber this fund."]
+    })));
+}
+
 /**
  * Ensure all required fields are present before trying to create the PO line.
  * @param {*} f is the form we have.
@@ -808,15 +1884,152 @@ function validateForm(f) {
     if (!f.material_type) miss.push("Material Type");
     if (!(f.quantity > 0)) miss.push("Quantity");
     if (f.price < 0) miss.push("List Price");
+    if (f.prepaid && !f.prepaid.order_number) miss.push("Vendor order number");
     return miss;
 }
 
 /**
- * Collects form values, validates them, and sends CREATE_PO_LINE to background.
- * If successful, shows the new PO line number, tell background to advance Kanopy queue, and closes the popup.
+ * Shows the check panel above the submit button with a heading and a list of findings,
+ * and waits for the user to either proceed or cancel.
+ * @param {*} heading the panel heading
+ * @param {*} rows list of { title, details: [] } to show
+ * @returns a promise resolving true for "Order anyway", false for "Cancel"
+ */
+function confirmWithPanel(heading, rows) {
+    const panel = $("checkPanel");
+    if (!panel) return Promise.resolve(window.confirm(heading + "\n\nOrder anyway?"));
+
+    $("checkPanelHeading").textContent = heading;
+    const list = $("checkPanelList");
+    list.innerHTML = "";
+    rows.forEach((r) => {
+        const li = document.createElement("li");
+        li.textContent = r.title;
+        (r.details || []).forEach((d) => {
+            const div = document.createElement("div");
+            div.className = "details";
+            div.textContent = d;
+            li.appendChild(div);
+        });
+        list.appendChild(li);
+    });
+    panel.style.display = "block";
+    panel.scrollIntoView({
+        block: "nearest"
+    });
+
+    return new Promise((resolve) => {
+        const done = (answer) => {
+            panel.style.display = "none";
+            $("checkPanelProceed").onclick = null;
+            $("checkPanelCancel").onclick = null;
+            resolve(answer);
+        };
+        $("checkPanelProceed").onclick = () => done(true);
+        $("checkPanelCancel").onclick = () => done(false);
+    });
+}
+
+/**
+ * Asks background to search the Alma catalog for this title (by ISBN, or title/author when there is none).
+ * @param {*} payload the collected form
+ * @returns the background response, or null if the background didn't answer
+ */
+function findDuplicates(payload) {
+    return new Promise((resolve) => {
+        chrome.runtime.sendMessage({
+            type: "FIND_DUPLICATES",
+            payload: {
+                isbn: payload.isbn,
+                title: payload.title,
+                author: payload.author
+            }
+        }, (res) => resolve(res || null));
+    });
+}
+
+/**
+ * If the catalog already holds the title, lists the matching MMS IDs with their holdings libraries
+ * and availability, and asks the user to confirm the order.
+ * A failed lookup doesn't block ordering.
+ * @param {*} payload the collected form
+ * @returns true if the order should go ahead
+ */
+async function confirmNoDuplicates(payload) {
+    const res = await findDuplicates(payload);
+    if (!res?.ok) {
+        console.warn("[AlmaExt] Duplicate check unavailable:", res?.error || res);
+        return true;
+    }
+    const matches = Array.isArray(res.matches) ? res.matches : [];
+    if (!matches.length) return true;
+
+    const rows = matches.map((m) => {
+        const details = [];
+        (m.holdings || []).forEach((h) => {
+            const where = [h.library, h.location].filter(Boolean).join(" / ");
+            const items = h.total_items != null ? ` (${h.total_items} item${h.total_items === 1 ? "" : "s"})` : "";
+            details.push(`${where || "Holding"}: ${h.availability || "unknown"}${items}`);
+        });
+        (m.electronic || []).forEach((e) => {
+            details.push(`Online${e.collection ? " – " + e.collection : ""}: ${e.availability || "unknown"}`);
+        });
+        if (!details.length) details.push("No holdings or availability returned");
+        return {
+            title: `${m.title || "(untitled)"}${m.author ? " / " + m.author : ""} — MMS ID ${m.mms_id}`,
+            details
+        };
+    });
+
+    const by = res.how === "isbn" ? "ISBN" : "title";
+    return confirmWithPanel(`Already in the catalog (${matches.length} match${matches.length === 1 ? "" : "es"} by ${by})`, rows);
+}
+
+/**
+ * If the title is already on order (an open PO line with the same ISBN or title), lists those lines
+ * with vendor, fund and status and asks the user to confirm the order.
+ * A failed lookup doesn't block ordering.
+ * @param {*} payload the collected form
+ * @returns true if the order should go ahead
+ */
+async function confirmNoOpenOrders(payload) {
+    const res = await new Promise((resolve) => {
+        chrome.runtime.sendMessage({
+            type: "FIND_OPEN_PO_LINES",
+            payload: {
+                isbn: payload.isbn,
+                title: payload.title
+            }
+        }, (r) => resolve(r || null));
+    });
+    if (!res?.ok) {
+        console.warn("[AlmaExt] Open order check unavailable:", res?.error || res);
+        return true;
+    }
+    const lines = Array.isArray(res.lines) ? res.lines : [];
+    if (!lines.length) return true;
+
+    const rows = lines.map((l) => ({
+        title: `${l.number} — ${l.title || "(untitled)"}`,
+        details: [
+            [
+                l.vendor && `Vendor: ${l.vendor}`,
+                l.funds?.length && `Fund: ${l.funds.join(", ")}`,
+                l.status && `Status: ${l.status}`,
+                l.created && `Created: ${l.created}`
+            ].filter(Boolean).join(" · ")
+        ]
+    }));
+    return confirmWithPanel(`Already on order (${lines.length} open PO line${lines.length === 1 ? "" : "s"})`, rows);
+}
+
+/**
+ * Collects form values, validates them, runs the pre-order checks, and sends CREATE_PO_LINE to background
+ * (or UPDATE_PO_LINE when amending a line, which skips the catalog checks).
  * @returns nothing
  */
-function submitForm() {
+async function submitForm() {
+    clearFieldErrors();
     const payload = collectForm();
     console.log("[AlmaExt] payload to background:", payload);
     const missing = validateForm(payload);
@@ -835,14 +2048,237 @@ function submitForm() {
         }
         return;
     }
+    const splitError = validateFundSplit(payload) || validateLocations(payload) || validateReceiveNow(payload) ||
+        validateElectronic(payload) || validateSubscription(payload);
+    if (splitError) {
+        alert(splitError);
+        return;
+    }
+
+    // Don't let a second click start another order while the checks run
+    const btn = $("submit");
+    if (btn) btn.disabled = true;
+    let proceed = false;
+    try {
+        proceed = await confirmFundBalance(payload);
+        // An amended line is already on order, so only new orders are checked against the catalog
+        if (proceed && !__EDITING) proceed = await confirmNoDuplicates(payload) && await confirmNoOpenOrders(payload);
+    } finally {
+        if (btn) btn.disabled = window.__LOCKED__;
+    }
+    if (!proceed) return;
+    if (__EDITING) updatePoLine(__EDITING.number, payload);
+    else createPoLine(payload);
+}
+
+/**
+ * Describes the routing CREATE_PO_LINE will attempt, from a PREVIEW_PO_LINE response
+ * @param {*} res the background response ({ profiles, electronic, falls_back_direct, purchase_request })
+ * @returns the text
+ */
+function describeRouting(res) {
+    if (res.purchase_request) {
+        return `Alma creates the line by approving purchase request ${res.purchase_request}; this form's details are then put on it`;
+    }
+    if (!res.profiles?.length) {
+        return res.electronic ? "Direct, without a profile (electronic lines skip the New Order API profiles)" :
+            "Direct, without a profile";
+    }
+    return [
+        `New Order API profile ${res.profiles.join(", then ")}`,
+        res.falls_back_direct && "if Alma rejects the first profile, direct without one"
+    ].filter(Boolean).join("; ");
+}
+
+/**
+ * Asks background for the exact PO line body and routing for the form (nothing is posted) and shows it
+ * as a summary plus the raw JSON
+ * @returns nothing
+ */
+function previewPoLine() {
+    clearFieldErrors();
+    const payload = collectForm();
+    const missing = validateForm(payload);
+    const splitError = validateFundSplit(payload) || validateLocations(payload) || validateReceiveNow(payload) ||
+        validateElectronic(payload) || validateSubscription(payload);
 
     chrome.runtime.sendMessage({
-        type: "CREATE_PO_LINE",
+        type: "PREVIEW_PO_LINE",
         payload
     }, (res) => {
+        if (!res?.ok) {
+            showAlmaErrors("Couldn't build the preview.", res);
+            return;
+        }
+        const b = res.body || {};
+        const optionText = (id, code) => Array.from($(id)?.options || []).find(o => o.value === code)?.textContent;
+        const coded = (id, code) => code ? [code, optionText(id, code)].filter((v, i, a) => v && a.indexOf(v) === i).join(" — ") : "";
+        const money = (m) => m ? `${m.sum} ${m.currency?.value || ""}`.trim() : "";
+
+        const rows = [
+            ["Title", [b.resource_metadata?.title, b.resource_metadata?.isbn && `ISBN ${b.resource_metadata.isbn}`].filter(Boolean).join(" · ")],
+            ["PO line type", coded("poType", b.type?.value)],
+            ["Material type", coded("materialType", b.material_type?.value)],
+            ["Owner", coded("ownerSelect", b.owner?.value)],
+            ["Vendor", [b.vendor && `${b.vendor.value}${b.vendor.desc && b.vendor.desc !== b.vendor.value ? ` (${b.vendor.desc})` : ""}`,
+                b.vendor_account && `account ${b.vendor_account}`,
+                b.acquisition_method?.value && `acquisition method ${b.acquisition_method.value}`
+            ].filter(Boolean).join(" · ") || "None (Alma will refuse the line)"],
+            ["Price", `${money(b.price)} × ${b.quantity || 1}`],
+            ["Funds", (b.fund_distribution || []).map(d => `${d.fund_code?.value} ${money(d.amount)}`).join("; ")],
+            ["Reporting code", b.reporting_code || ""],
+            ["Locations", (b.location || []).map(l => `${l.library?.value} / ${l.location?.value} × ${l.quantity}`).join("; ")],
+            ["Interested users", (b.interested_user || []).map(u => [u.primary_id,
+                u.notify_receiving_activation && "notify",
+                u.hold_item && "hold"
+            ].filter(Boolean).join(" ")).join("; ")],
+            ["Receiving note", b.receiving_note || ""],
+            ["Electronic access", [b.url, b.access_provider && `via ${b.access_provider}`,
+                b.access_model?.value && coded("accessModel", b.access_model.value),
+                ...(b.note || []).map(n => n.note_text)
+            ].filter(Boolean).join(" · ")],
+            ["Subscription", isRecurringPoType(b.type?.value) ? [
+                (b.subscription_from_date || b.subscription_to_date) &&
+                `${String(b.subscription_from_date || "…").replace(/Z$/, "")} to ${String(b.subscription_to_date || "…").replace(/Z$/, "")}`,
+                b.renewal_date && `renews ${b.renewal_date.replace(/Z$/, "")}`,
+                b.renewal_period && `renewal cycle ${optionText("renewalPeriod", String(b.renewal_period))?.toLowerCase() || b.renewal_period + " days"}`,
+                b.renewal_reminder_period && `reminder ${b.renewal_reminder_period} days before`,
+                b.manual_renewal && "manual renewal",
+                b.renewal_note
+            ].filter(Boolean).join(" · ") : ""],
+            ["License", b.license?.value ? [coded("licenseSelect", b.license.value), $("licenseInfo")?.textContent]
+                .filter(Boolean).join(" · ") : ""],
+            ["Bib record", {
+                link: `Ordered on MMS ID ${b.resource_metadata?.mms_id?.value || ""}`,
+                brief: "Alma creates a brief record from the title and ISBN",
+                link_or_create: "Linked to the catalog record with this ISBN, or a new record from the details below",
+                request: "The purchase request's record"
+            }[res.bib] || ""],
+            ["Routing", describeRouting(res)],
+            ["Prepaid invoice", payload.prepaid ? [payload.prepaid.order_number || "(no number)",
+                `dated ${payload.prepaid.invoice_date}`,
+                `total ${formatMoney(payload.price * payload.quantity + payload.prepaid.shipping + payload.prepaid.tax, payload.currency)}`,
+                payload.prepaid.card_reference && `card ${payload.prepaid.card_reference}`
+            ].filter(Boolean).join(" · ") : ""],
+            ["Received now", payload.receive && b.location ? (payload.receive.barcodes.length ?
+                `Barcodes ${payload.receive.barcodes.join(", ")}` : "Yes, keeping Alma's barcodes") : ""]
+        ];
+
+        const body = $("previewSummary");
+        body.innerHTML = "";
+        rows.filter(([, value]) => value).forEach(([label, value]) => {
+            const tr = document.createElement("tr");
+            const th = document.createElement("th");
+            th.textContent = label;
+            const td = document.createElement("td");
+            td.textContent = value;
+            tr.append(th, td);
+            body.appendChild(tr);
+        });
+
+        const warnings = [
+            missing.length && `Missing: ${missing.join(", ")}.`,
+            splitError,
+            ...(res.warnings || [])
+        ].filter(Boolean);
+        $("previewWarnings").textContent = warnings.join(" ");
+        $("previewJson").textContent = JSON.stringify(b, null, 2) +
+            (res.marcxml ? "\n\nNew bib record (MARCXML):\n" + res.marcxml.replace(/></g, ">\n<") : "");
+        $("previewPanel").style.display = "block";
+        $("previewPanel").scrollIntoView({
+            block: "nearest"
+        });
+    });
+}
+
+// Form fields named in background's describeAlmaError() → the control to mark
+const ERROR_FIELD_ELEMENTS = {
+    fund: "fundSelect",
+    reporting_code: "reportCodeSelect",
+    vendor: "vendorSelect",
+    vendor_account: "vendorAccount",
+    location: "locationRows",
+    owner: "ownerSelect",
+    material_type: "materialType",
+    po_line_type: "poType",
+    price: "price",
+    interested_users: "interestedUsers",
+    license: "licenseSelect",
+    access_model: "accessModel",
+    subscription: "subscriptionStart"
+};
+
+/**
+ * Removes the error marks left on the form by showAlmaErrors()
+ * @returns nothing
+ */
+function clearFieldErrors() {
+    document.querySelectorAll(".form-group.has-error").forEach(g => g.classList.remove("has-error"));
+    document.querySelectorAll(".field-error").forEach(el => el.remove());
+    $("formError").style.display = "none";
+}
+
+/**
+ * Shows why Alma refused the PO line: each error under the field it concerns, and the rest
+ * (with a heading) in the box above the submit button
+ * @param {*} heading what failed, e.g. "Alma didn't create the PO line."
+ * @param {*} res the background response ({ error, errors: [{ code, message, hint, field }] })
+ * @returns nothing
+ */
+function showAlmaErrors(heading, res) {
+    clearFieldErrors();
+    const errors = Array.isArray(res?.errors) ? res.errors : [];
+    const general = errors.length ? [] : [res?.error || "unknown error"];
+    let first = null;
+
+    errors.forEach((e) => {
+        const text = [e.hint, e.message, e.code && `(${e.code})`].filter(Boolean).join(" ");
+        const group = $(ERROR_FIELD_ELEMENTS[e.field])?.closest(".form-group");
+        if (!group) return general.push(text);
+        group.classList.add("has-error");
+        const msg = document.createElement("div");
+        msg.className = "field-error";
+        msg.textContent = text;
+        group.appendChild(msg);
+        first = first || group;
+    });
+
+    const box = $("formError");
+    box.textContent = [heading, ...general, first && !general.length ? "See the marked fields." : ""].filter(Boolean).join("\n");
+    box.style.display = "block";
+    (first || box).scrollIntoView({
+        block: "nearest"
+    });
+}
+
+/**
+ * Sends CREATE_PO_LINE to background.
+ * If successful, tells background to advance Kanopy queue and shows the new PO line number in the result view.
+ * @param {*} payload the validated form
+ * @returns nothing
+ */
+function createPoLine(payload) {
+    chrome.runtime.sendMessage({
+        type: "CREATE_PO_LINE",
+        payload,
+        password: __APPROVAL ? $("approvalPassword").value : undefined
+    }, (res) => {
+        // Alma unreachable: background kept the order in the outbox and will send it later
+        if (res?.queued) {
+            advanceKanopyQueue();
+            showResult("", res.error, false, "Saved to the outbox");
+            return;
+        }
+        // Over the approval threshold: held for a supervisor, nothing sent to Alma yet
+        if (res?.pending_approval) {
+            advanceKanopyQueue();
+            showResult("", res.error, false, "Sent for approval");
+            return;
+        }
         if (!res || res.error) {
             console.error("CREATE_PO_LINE error:", res?.error || res);
-            alert("Failed to create PO line: " + (res?.error || "unknown error"));
+            if (res?.bib?.mms_id) __ORDER_BIB = res.bib;
+            showAlmaErrors("Alma didn't create the PO line.", res);
             return;
         }
         const n =
@@ -856,16 +2292,505 @@ function submitForm() {
             navigator.clipboard.writeText(n).catch(() => {});
         }
 
-        alert("PO line created.\nNumber: " + n);
         advanceKanopyQueue();
-        window.close();
+        const bib = {
+            created: `New bib record ${res.bib?.mms_id}.`,
+            linked: `Ordered on bib record ${res.bib?.mms_id}.`,
+            brief: res.bib?.error ? `Alma made a brief record (full record not created: ${res.bib.error}).` : ""
+        }[res.bib?.action] || "";
+        // Approving the request is what created the line (background orderPurchaseRequest())
+        const request = res.purchase_request ?
+            `Purchase request ${res.purchase_request.id} approved. ${res.purchase_request.error || ""}` : "";
+        const invoice = res.invoice ? (res.invoice.processed ?
+            `Invoice ${res.invoice.number} created and processed.` : res.invoice.id ?
+            `Invoice ${res.invoice.number} was created but not finished (${res.invoice.error}); complete it in Alma.` :
+            `No invoice was created (${res.invoice.error}); create it in Alma.`) : "";
+        const done = (res.received?.items || []).filter(i => !i.error);
+        const failed = (res.received?.items || []).filter(i => i.error);
+        const received = res.received ? [
+            done.length && `Received ${done.length} item${done.length === 1 ? "" : "s"}: ` +
+            done.map(i => i.barcode || `item ${i.pid}`).join(", ") + ".",
+            failed.length && `Not received: ${failed.map(i => `${i.barcode || i.pid} (${i.error})`).join("; ")}.`,
+            res.received.error && `Items not received (${res.received.error}); receive them in Alma.`
+        ].filter(Boolean).join(" ") : "";
+        __PURCHASE_REQUEST = null;
+        __APPROVAL = null;
+        __ORDER_BIB = null;
+        showResult(n, `Created in Alma. The number is copied to the clipboard. ${bib} ${request} ${invoice} ${received}`.replace(/\s+/g, " ").trim(),
+            n !== "(not returned)");
     });
 }
 
+/**
+ * Replaces the order form with the result view for a PO line
+ * @param {*} number the PO line number
+ * @param {*} message what happened
+ * @param {*} open whether the line can still be edited or cancelled
+ * @param {*} heading heading to show instead of the PO line number
+ * @returns nothing
+ */
+function showResult(number, message, open, heading) {
+    $("orderForm").style.display = "none";
+    $("cancelForm").style.display = "none";
+    $("resultPanel").style.display = "block";
+    $("resultPanel").dataset.number = number;
+    $("resultHeading").textContent = heading || `PO line ${number}`;
+    $("resultDetails").textContent = message || "";
+    $("resultActions").style.display = "";
+    $("resultEdit").style.display = open ? "" : "none";
+    $("resultCancelLine").style.display = open ? "" : "none";
+}
+
+/**
+ * Shows the pending purchase requests from Alma in place of the order form
+ * @returns nothing
+ */
+function openPurchaseRequests() {
+    $("orderForm").style.display = "none";
+    $("requestsPanel").style.display = "block";
+    $("requestsStatus").textContent = "Loading purchase requests…";
+    const body = $("requestsRows");
+    body.innerHTML = "";
+
+    chrome.runtime.sendMessage({
+        type: "GET_PURCHASE_REQUESTS"
+    }, (res) => {
+        if (!res?.ok) {
+            $("requestsStatus").textContent = `Couldn't load purchase requests: ${res?.error || "unknown error"}`;
+            return;
+        }
+        $("requestsStatus").textContent = res.requests.length ? "" : "No pending purchase requests.";
+        res.requests.forEach((r) => {
+            const tr = document.createElement("tr");
+            const info = document.createElement("td");
+            const title = document.createElement("div");
+            title.textContent = [r.title || "(untitled)", r.author].filter(Boolean).join(" / ");
+            const details = document.createElement("div");
+            details.className = "details";
+            details.textContent = [
+                r.isbn && `ISBN ${r.isbn}`,
+                r.format === "E" ? "Electronic" : r.format === "P" ? "Print" : "",
+                `Requested by ${r.requester_name || r.requester || "unknown"}`,
+                r.created,
+                r.estimated_cost != null && formatMoney(r.estimated_cost, r.currency),
+                r.note
+            ].filter(Boolean).join(" · ");
+            info.append(title, details);
+
+            const action = document.createElement("td");
+            const btn = document.createElement("button");
+            btn.type = "button";
+            btn.textContent = "Order";
+            btn.addEventListener("click", () => applyPurchaseRequest(r));
+            action.appendChild(btn);
+
+            tr.append(info, action);
+            body.appendChild(tr);
+        });
+    });
+}
+
+/**
+ * Hides the purchase request list and shows the order form again
+ * @returns nothing
+ */
+function closePurchaseRequests() {
+    $("requestsPanel").style.display = "none";
+    $("orderForm").style.display = "";
+}
+
+/**
+ * Fills the order form from a purchase request: title, ISBN and bibliographic details, format, cost,
+ * fund/reporting code/library when the request has them, and the requester as an interested user.
+ * Sending the order then approves the request in Alma.
+ * @param {*} r the request from GET_PURCHASE_REQUESTS
+ * @returns nothing
+ */
+function applyPurchaseRequest(r) {
+    __ORDER_BIB = null;
+    __PURCHASE_REQUEST = {
+        id: r.id,
+        mms_id: r.mms_id,
+        requester_name: r.requester_name || r.requester
+    };
+    __SCRAPED_ISBN = r.isbn || "";
+    __SCRAPED_BIB = {
+        isbns: r.isbn ? [r.isbn] : [],
+        author: r.author,
+        publisher: r.publisher,
+        date: r.year,
+        edition: r.edition
+    };
+
+    $("title").value = r.title || "";
+    if (r.estimated_cost != null) $("price").value = String(r.estimated_cost);
+    if (r.currency) $("currency").value = r.currency;
+    ["poType", "materialType"].forEach((id) => $(id).dataset.prefilledByVendor = "1");
+    setSelectCode("poType", r.format === "E" ? "E_BOOK_OT" : "PRINT_OT");
+    setSelectCode("materialType", r.material_type);
+    setSelectCode("fundSelect", r.fund);
+    setSelectCode("reportCodeSelect", r.reporting_code);
+    if (r.library) fillLibraryOptions($("ownerSelect"), r.library);
+
+    // The requester hears when it arrives and gets it on hold, like any interested user
+    const users = $("interestedUsers");
+    if (r.requester && users) {
+        let opt = Array.from(users.options).find(o => o.value === r.requester);
+        if (!opt) {
+            opt = new Option(r.requester_name ? `${r.requester_name} (${r.requester})` : r.requester, r.requester);
+            users.appendChild(opt);
+        }
+        opt.selected = true;
+        if (window.jQuery) window.jQuery("#interestedUsers").trigger("change");
+    }
+
+    document.querySelector(".form-header .subheader").textContent =
+        `Purchase request ${r.id}, requested by ${__PURCHASE_REQUEST.requester_name || "unknown"}. Sending the order approves the request.`;
+    refreshLocations();
+    applyLocationDefault();
+    closePurchaseRequests();
+}
+
+/**
+ * Fills the order form from a payload collectForm() produced earlier (an order held for approval)
+ * @param {*} f the saved form data
+ * @returns nothing
+ */
+function fillFormFromPayload(f = {}) {
+    __ORDER_BIB = null;
+    $("title").value = f.title || "";
+    $("price").value = String(f.price ?? "");
+    $("currency").value = f.currency || "USD";
+    $("quantity").value = String(f.quantity || 1);
+    $("url").value = f.supplier || "";
+    $("receivingNote").value = f.receiving_note || "";
+    __SCRAPED_ISBN = f.isbn || "";
+    __SCRAPED_BIB = {
+        isbns: f.isbns,
+        author: f.author,
+        publisher: f.publisher,
+        date: f.publication_date,
+        edition: f.edition,
+        format: f.format
+    };
+    __SOURCE_URL = f.source_url || "";
+    __PURCHASE_REQUEST = f.purchase_request_id ? {
+        id: f.purchase_request_id,
+        mms_id: f.mms_id
+    } : null;
+    $("prepaid").checked = !!f.prepaid;
+    $("prepaidOrderNumber").value = f.prepaid?.order_number || "";
+    $("prepaidInvoiceDate").value = f.prepaid?.invoice_date || "";
+    $("prepaidCardReference").value = f.prepaid?.card_reference || "";
+    $("prepaidShipping").value = f.prepaid?.shipping ? String(f.prepaid.shipping) : "";
+    $("prepaidTax").value = f.prepaid?.tax ? String(f.prepaid.tax) : "";
+    togglePrepaid();
+    $("receiveNow").checked = !!f.receive;
+    $("receiveBarcodes").value = (f.receive?.barcodes || []).join("\n");
+    refreshReceiveNow();
+    $("accessUrl").value = f.electronic?.url || "";
+    $("accessProvider").value = f.electronic?.access_provider || "";
+    $("accessModel").value = f.electronic?.access_model || "";
+    $("licenseStart").value = f.electronic?.license_start || "";
+    $("licenseEnd").value = f.electronic?.license_end || "";
+    $("activationNote").value = f.electronic?.activation_note || "";
+    setLicense(f.electronic?.license);
+    refreshElectronic();
+    $("subscriptionStart").value = f.subscription?.start || "";
+    $("subscriptionEnd").value = f.subscription?.end || "";
+    $("renewalDate").value = f.subscription?.renewal_date || "";
+    $("renewalPeriod").value = f.subscription?.renewal_period ? String(f.subscription.renewal_period) : "";
+    $("renewalReminder").value = f.subscription?.reminder_days ? String(f.subscription.reminder_days) : "";
+    $("manualRenewal").checked = !!f.subscription?.manual_renewal;
+    $("renewalNote").value = f.subscription?.renewal_note || "";
+    refreshSubscription();
+
+    ["poType", "materialType"].forEach((id) => $(id).dataset.prefilledByVendor = "1");
+    setSelectCode("poType", f.po_line_type);
+    setSelectCode("materialType", f.material_type);
+    setSelectCode("vendorSelect", f.vendor_code, f.vendor_name);
+    setSelectCode("vendorAccount", f.vendor_account);
+    setSelectCode("fundSelect", f.fund);
+    setSelectCode("reportCodeSelect", f.reporting_code);
+    if (f.owner) fillLibraryOptions($("ownerSelect"), f.owner);
+
+    $("fundSplitRows").innerHTML = "";
+    if (f.fund_split?.lines?.length > 1) {
+        $("fundSplitMode").value = f.fund_split.mode;
+        $("primaryFundShare").value = String(f.fund_split.lines[0].share);
+        f.fund_split.lines.slice(1).forEach(l => addFundSplitRow(l.fund, l.share));
+    }
+    refreshFundSplit();
+
+    const rows = $("locationRows");
+    rows.innerHTML = "";
+    rows.dataset.touched = "1";
+    (f.locations || []).forEach(l => addLocationRow(l.library, l.location, l.quantity));
+    if (!rows.children.length) addLocationRow();
+    refreshLocations();
+
+    const users = $("interestedUsers");
+    (f.interested_users || []).forEach((u) => {
+        let opt = Array.from(users.options).find(o => o.value === u.primary_id);
+        if (!opt) users.appendChild(opt = new Option(u.primary_id, u.primary_id));
+        opt.selected = true;
+    });
+    if (window.jQuery) window.jQuery("#interestedUsers").trigger("change");
+}
+
+/**
+ * Opened from the approval queue (popup.html?approval=...): loads the held order for a supervisor to check,
+ * change if needed, and send
+ * @param {*} id the approval queue entry id
+ * @returns nothing
+ */
+async function openApproval(id) {
+    // Background first settles an order whose sending was cut off, so it isn't shown as "sending" for ever
+    const res = await new Promise((resolve) => chrome.runtime.sendMessage({
+        type: "CHECK_APPROVALS"
+    }, resolve));
+    const {
+        ALMA_APPROVAL_QUEUE
+    } = res?.ok ? {
+        ALMA_APPROVAL_QUEUE: res.approvals
+    } : await chrome.storage.local.get(["ALMA_APPROVAL_QUEUE"]);
+    const entry = (Array.isArray(ALMA_APPROVAL_QUEUE) ? ALMA_APPROVAL_QUEUE : []).find(e => e.id === id);
+    if (!entry || entry.status !== "pending") {
+        showResult("", entry ? `This order was already ${entry.status}.` : "The order is no longer in the approval queue.", false,
+            "Approval queue");
+        return;
+    }
+    fillFormFromPayload(entry.payload);
+    __APPROVAL = {
+        id
+    };
+    document.querySelector(".form-header h2").textContent = "Review order for approval";
+    document.querySelector(".form-header .subheader").textContent =
+        `Submitted ${new Date(entry.submitted_at).toLocaleString()}. ${entry.note ? entry.note + " " : ""}Check or change it, then approve to send it to Alma.`;
+    $("approvalGroup").style.display = "";
+    $("submit").textContent = "Approve and send";
+    $("openRequestsBtn").style.display = "none";
+}
+
+/**
+ * Closes the popup, or the tab when the popup was opened from the order history
+ * @returns nothing
+ */
+function closePopup() {
+    chrome.tabs.getCurrent((tab) => tab ? chrome.tabs.remove(tab.id) : window.close());
+}
+
+/**
+ * Asks background for a PO line as form fields
+ * @param {*} number the PO line number
+ * @returns the background response ({ ok, form, open, status })
+ */
+function getPoLine(number) {
+    return new Promise((resolve) => {
+        chrome.runtime.sendMessage({
+            type: "GET_PO_LINE",
+            number
+        }, (res) => resolve(res || null));
+    });
+}
+
+/**
+ * Selects a code in a dropdown, adding it as an option first if the dropdown doesn't offer it
+ * @param {*} id the select id
+ * @param {*} code the code to select
+ * @param {*} label text for an added option
+ * @returns nothing
+ */
+function setSelectCode(id, code, label) {
+    const sel = $(id);
+    if (!sel || !code) return;
+    if (!Array.from(sel.options).some(o => o.value === code)) sel.appendChild(new Option(label || code, code));
+    sel.value = code;
+    if (window.jQuery && window.jQuery("#" + id).data("select2")) window.jQuery("#" + id).trigger("change");
+}
+
+/**
+ * Puts an existing PO line into the order form for amending. Only the fields Alma lets us change
+ * after creation stay editable; everything goes through the same validation as a new order.
+ * @param {*} number the PO line number
+ * @param {*} form the line's form fields from GET_PO_LINE (fetched if not given)
+ * @returns nothing
+ */
+async function startEdit(number, form) {
+    if (!form) {
+        $("resultDetails").textContent = "Loading the PO line from Alma…";
+        const res = await getPoLine(number);
+        if (!res?.ok || !res.open) {
+            showResult(number, res?.ok ? `This line is ${res.status?.status || "closed"} and can't be edited.` :
+                `Couldn't load the PO line: ${res?.error || "unknown error"}`, false);
+            return;
+        }
+        form = res.form;
+    }
+    __EDITING = {
+        number,
+        encumbered: form.encumbered || {}
+    };
+
+    $("title").value = form.title;
+    $("price").value = String(form.price);
+    $("currency").value = form.currency;
+    $("quantity").value = String(form.quantity);
+    $("url").value = form.vendor_name;
+    $("receivingNote").value = form.receiving_note;
+    ["poType", "materialType"].forEach((id) => $(id).dataset.prefilledByVendor = "1");
+    setSelectCode("poType", form.po_line_type);
+    setSelectCode("materialType", form.material_type);
+    setSelectCode("vendorSelect", form.vendor_code, form.vendor_name);
+    setSelectCode("vendorAccount", form.vendor_account);
+    setSelectCode("fundSelect", form.fund);
+    setSelectCode("reportCodeSelect", form.reporting_code);
+    if (form.owner) fillLibraryOptions($("ownerSelect"), form.owner);
+
+    $("fundSplitRows").innerHTML = "";
+    if (form.fund_split?.lines?.length > 1) {
+        $("fundSplitMode").value = form.fund_split.mode;
+        $("primaryFundShare").value = String(form.fund_split.lines[0].share);
+        form.fund_split.lines.slice(1).forEach(l => addFundSplitRow(l.fund, l.share));
+    }
+    refreshFundSplit();
+
+    const rows = $("locationRows");
+    rows.innerHTML = "";
+    rows.dataset.touched = "1";
+    (form.locations || []).forEach(l => addLocationRow(l.library, l.location, l.quantity));
+    if (!rows.children.length) addLocationRow();
+    refreshLocations();
+
+    // Type, material, vendor and owner are fixed once the line exists
+    ["title", "currency", "url", "vendorSelect", "vendorAccount", "poType", "materialType", "ownerSelect", "interestedUsers"]
+    .forEach((id) => {
+        if ($(id)) $(id).disabled = true;
+    });
+
+    document.querySelector(".form-header h2").textContent = `Edit PO line ${number}`;
+    document.querySelector(".form-header .subheader").textContent =
+        "Price, quantity and locations, funds, reporting code and receiving note can be changed.";
+    $("submit").textContent = "Save changes";
+    // The preview shows a new order's body; edits are merged into the line Alma already has
+    $("preview").style.display = "none";
+    $("openRequestsBtn").style.display = "none";
+    // Invoices are only made for new orders
+    $("prepaid").checked = false;
+    $("prepaidGroup").style.display = "none";
+    $("receiveNow").checked = false;
+    $("receiveGroup").style.display = "none";
+    $("electronicGroup").style.display = "none";
+    $("subscriptionGroup").style.display = "none";
+    $("checkPanelProceed").textContent = "Save anyway";
+    $("resultPanel").style.display = "none";
+    $("orderForm").style.display = "";
+}
+
+/**
+ * Sends UPDATE_PO_LINE to background and shows the result view
+ * @param {*} number the PO line number
+ * @param {*} payload the validated form
+ * @returns nothing
+ */
+function updatePoLine(number, payload) {
+    chrome.runtime.sendMessage({
+        type: "UPDATE_PO_LINE",
+        number,
+        payload
+    }, (res) => {
+        if (!res?.ok) {
+            console.error("UPDATE_PO_LINE error:", res?.error || res);
+            showAlmaErrors("Alma didn't save the changes.", res);
+            return;
+        }
+        showResult(number, "Changes saved in Alma.", true);
+    });
+}
+
+/**
+ * Shows the cancel form, loading Alma's cancellation reasons the first time
+ * @returns nothing
+ */
+function openCancelForm() {
+    const sel = $("cancelReason");
+    $("resultActions").style.display = "none";
+    $("cancelForm").style.display = "block";
+    $("cancelError").style.display = "none";
+    if (sel.options.length) return;
+
+    sel.appendChild(new Option("Loading reasons…", ""));
+    $("cancelConfirm").disabled = true;
+    chrome.runtime.sendMessage({
+        type: "GET_CANCEL_REASONS"
+    }, (res) => {
+        const list = Array.isArray(res?.codes) ? res.codes : [];
+        sel.innerHTML = "";
+        if (!list.length) {
+            sel.appendChild(new Option("Cancellation reasons not available", ""));
+            return;
+        }
+        list.forEach(c => sel.appendChild(new Option(c.description || c.code, c.code)));
+        $("cancelConfirm").disabled = false;
+    });
+}
+
+/**
+ * Sends CANCEL_PO_LINE to background with the chosen reason
+ * @returns nothing
+ */
+function cancelPoLine() {
+    const number = $("resultPanel").dataset.number;
+    const reason = $("cancelReason").value;
+    if (!number || !reason) return;
+    if (!confirm(`Cancel PO line ${number} in Alma?`)) return;
+
+    $("cancelConfirm").disabled = true;
+    $("cancelError").style.display = "none";
+    chrome.runtime.sendMessage({
+        type: "CANCEL_PO_LINE",
+        number,
+        reason,
+        comment: $("cancelComment").value.trim(),
+        inform_vendor: $("cancelInformVendor").checked
+    }, (res) => {
+        $("cancelConfirm").disabled = false;
+        if (!res?.ok) {
+            console.error("CANCEL_PO_LINE error:", res?.error || res);
+            $("cancelError").textContent = "Alma didn't cancel the PO line.\n" + (res?.error || "unknown error");
+            $("cancelError").style.display = "block";
+            return;
+        }
+        showResult(number, `Cancelled in Alma (${$("cancelReason").selectedOptions[0]?.textContent || reason}).`, false);
+    });
+}
+
+/**
+ * Opened from the order history (popup.html?po_line=...&action=edit|cancel): shows that line instead of a new order
+ * @param {*} number the PO line number
+ * @param {*} action "edit" or "cancel"
+ * @returns nothing
+ */
+async function openExistingLine(number, action) {
+    showResult(number, "Loading the PO line from Alma…", false);
+    const res = await getPoLine(number);
+    if (!res?.ok) {
+        showResult(number, `Couldn't load the PO line: ${res?.error || "unknown error"}`, false);
+        return;
+    }
+    const summary = [res.form.title, res.status?.status].filter(Boolean).join(" · ");
+    showResult(number, res.open ? summary : `${summary} — can't be changed any more.`, res.open);
+    if (!res.open) return;
+    if (action === "edit") startEdit(number, res.form);
+    if (action === "cancel") openCancelForm();
+}
+
 // Runs when popup loads; initialises dropdowns and popup settings
 document.addEventListener("DOMContentLoaded", async () => {
     lockPopupUI(true);
     paintNoKeyBanner(false);
+    paintEnvironment();
+    $("envSwitch")?.addEventListener("change", switchEnvironment);
 
     // Wait briefly to see if background has the decrypted key stored in memory, or can auto-unlock it
     const hasKey = await waitForApiKey(6000);
@@ -883,19 +2808,95 @@ document.addEventListener("DOMContentLoaded", async () => {
     select2Init("poType");
     initMaterialTypeSelect();
 
+    // Opened from the order history to edit or cancel an existing line
+    const params = new URLSearchParams(location.search);
+    const existing = params.get("po_line");
+    const approval = params.get("approval");
+
     // Figure out if we're on Kanopy
     window.__KANOPY__ = false;
-    window.__KANOPY__ = await isKanopyVendorPrefill();
+    if (!existing && !approval) window.__KANOPY__ = await isKanopyVendorPrefill();
 
     // Load Alma-backed data after we know the vendor
-    loadFunds();
-    loadReportingCodes();
+    const loading = Promise.all([
+        loadFunds(),
+        loadReportingCodes(),
+        loadCodeTableSelect("poType", "GET_PO_LINE_TYPES", "PRINT_OT"),
+        loadCodeTableSelect("materialType", "GET_MATERIAL_TYPES", "BOOK"),
+        loadAccessModels(),
+        loadLibraries()
+    ]);
     initInterestedUsers();
+    initVendorSelect();
+    initLicenseSelect();
+
+    // Prefill from current browser tab, or load the line being changed (or the held order) once the dropdowns are filled
+    if (existing) loading.then(() => openExistingLine(existing, params.get("action")));
+    else if (approval) loading.then(() => openApproval(approval));
+    else prefillFromPage();
+
+    $("addFundRow")?.addEventListener("click", () => addFundSplitRow());
+    ["fundSplitMode", "primaryFundShare", "price", "quantity"].forEach((id) => {
+        $(id)?.addEventListener("input", refreshFundSplit);
+        $(id)?.addEventListener("change", refreshFundSplit);
+    });
 
-    // Prefill from current browser tab
-    prefillFromPage();
+    // Locations follow the PO line type, quantity, vendor and material type
+    $("addLocationRow")?.addEventListener("click", () => {
+        $("locationRows").dataset.touched = "1";
+        addLocationRow(undefined, undefined, 1);
+    });
+    $("quantity")?.addEventListener("input", refreshLocations);
+    $("url")?.addEventListener("change", applyLocationDefault);
+    $("url")?.addEventListener("change", guessVendor);
+    $("prepaid")?.addEventListener("change", togglePrepaid);
+    $("receiveNow")?.addEventListener("change", refreshReceiveNow);
+    // A bib left by a rejected order is for that title only
+    $("title")?.addEventListener("input", () => {
+        __ORDER_BIB = null;
+    });
+    $("subscriptionEnd")?.addEventListener("change", () => setValueIfEmpty("renewalDate", $("subscriptionEnd").value));
+    if (window.jQuery) {
+        window.jQuery("#poType").on("change", refreshLocations);
+        window.jQuery("#poType").on("change", refreshReceiveNow);
+        window.jQuery("#poType").on("change", refreshElectronic);
+        window.jQuery("#poType").on("change", refreshSubscription);
+        window.jQuery("#materialType").on("change", applyLocationDefault);
+    }
+
+    // Changing a field marked by showAlmaErrors() clears its mark (select2 only fires jQuery change events)
+    const clearGroupError = (ev) => {
+        const group = ev.target?.closest?.(".form-group.has-error");
+        if (!group) return;
+        group.classList.remove("has-error");
+        group.querySelectorAll(".field-error").forEach(el => el.remove());
+    };
+    if (window.jQuery) {
+        window.jQuery("#orderForm").on("change input", clearGroupError);
+    } else {
+        $("orderForm")?.addEventListener("change", clearGroupError);
+        $("orderForm")?.addEventListener("input", clearGroupError);
+    }
 
     $("submit")?.addEventListener("click", submitForm);
+    $("openRequestsBtn")?.addEventListener("click", openPurchaseRequests);
+    $("requestsBack")?.addEventListener("click", closePurchaseRequests);
+    $("preview")?.addEventListener("click", previewPoLine);
+    $("previewSend")?.addEventListener("click", () => {
+        $("previewPanel").style.display = "none";
+        submitForm();
+    });
+    $("previewClose")?.addEventListener("click", () => {
+        $("previewPanel").style.display = "none";
+    });
+    $("resultEdit")?.addEventListener("click", () => startEdit($("resultPanel").dataset.number));
+    $("resultCancelLine")?.addEventListener("click", openCancelForm);
+    $("resultDone")?.addEventListener("click", closePopup);
+    $("cancelConfirm")?.addEventListener("click", cancelPoLine);
+    $("cancelBack")?.addEventListener("click", () => {
+        $("cancelForm").style.display = "none";
+        $("resultActions").style.display = "";
+    });
     $("cancel")?.addEventListener("click", () => window.close());
 });
 
@@ -0,0 +1,353 @@
+/**
+ * Vendor adapter registry. Each supported vendor is described once here (host matcher, page extractors,
+ * default PO line type/material type, and the Alma vendor it routes to) and shared by content.js,
+ * the inlineScrape() fallback in popup.js, and mapToAlmaPOL() in background.js.
+ *
+ * Loaded as a plain script: a content script (before content.js), a <script> tag in popup.html,
+ * importScripts() in the service worker, and chrome.scripting file injection. Exposes self.AlmaVendors.
+ *
+ * To add a vendor, add an adapter to the list at the bottom of this file (and its host to manifest.json).
+ */
+
+(function (root) {
+    if (root.AlmaVendors) return; // already injected into this page
+
+    const ADAPTERS = [];
+
+    /**
+     * Infers a currency code from the symbol in a raw price string
+     * @param {*} raw the price text
+     * @returns the currency code, or "" if unknown
+     */
+    function currencyFromSymbol(raw) {
+        const s = String(raw || "");
+        if (s.includes("$")) return "USD";
+        if (s.includes("£")) return "GBP";
+        if (s.includes("€")) return "EUR";
+        return "";
+    }
+
+    /**
+     * True for recurring PO line types (subscriptions and standing orders): by code suffix, or by the type's
+     * description in Alma's code table for institutions with their own codes. The one rule for background.js
+     * and popup.js, which each pass the description they have.
+     * @param {*} code the Alma PO line type code
+     * @param {*} description the type's description, if known
+     * @returns whether the type renews
+     */
+    function isRecurringPoType(code, description = "") {
+        if (/_(CO|SO)$/.test(String(code || "").toUpperCase())) return true;
+        return /subscription|standing order|continuous/i.test(String(description || ""));
+    }
+
+    /**
+     * Adds an adapter to the registry
+     * @param {*} adapter the vendor definition; needs at least id and pattern
+     * @returns the adapter
+     */
+    function register(adapter) {
+        if (!adapter?.id || !(adapter.pattern instanceof RegExp)) {
+            throw new Error("Vendor adapter needs an id and a pattern");
+        }
+        ADAPTERS.push(adapter);
+        return adapter;
+    }
+
+    /**
+     * Finds the adapter for a page host name (e.g. "www.amazon.com")
+     * @param {*} host the host name
+     * @returns the adapter or null
+     */
+    function byHost(host) {
+        const h = String(host || "").toLowerCase();
+        if (!h) return null;
+        return ADAPTERS.find(a => a.pattern.test(h)) || null;
+    }
+
+    /**
+     * Finds the adapter for a free-text supplier value from the popup (host name or label like "Kanopy")
+     * @param {*} supplier the supplier text
+     * @returns the adapter or null
+     */
+    function bySupplier(supplier) {
+        const s = String(supplier || "").trim();
+        if (!s) return null;
+        return ADAPTERS.find(a => a.pattern.test(s) || (a.label && a.label.toLowerCase() === s.toLowerCase())) || null;
+    }
+
+    /**
+     * Finds an adapter by its id
+     * @param {*} id adapter id, e.g. "KANOPY"
+     * @returns the adapter or null
+     */
+    function byId(id) {
+        const want = String(id || "").toUpperCase();
+        return ADAPTERS.find(a => a.id === want) || null;
+    }
+
+    /**
+     * Runs the matching adapter's extractors against a page.
+     * Any extractor that throws or is missing leaves its field blank; title falls back to document.title
+     * and isbn to the first of isbns.
+     * @param {*} doc the page document
+     * @param {*} loc the page location
+     * @returns scraped title, price, currency, vendor (host), isbn, and whatever bibliographic details the
+     * adapter can read (isbns, author, publisher, date, edition, format) for the record background builds
+     */
+    function scrapePage(doc, loc) {
+        const vendor = loc?.hostname || "";
+        const adapter = byHost(vendor);
+        const run = (fn) => {
+            if (typeof fn !== "function") return "";
+            try {
+                return fn(doc) || "";
+            } catch (e) {
+                console.warn("[AlmaExt] extractor failed:", adapter?.id, e);
+                return "";
+            }
+        };
+
+        const isbns = run(adapter?.isbns) || [];
+        const out = {
+            title: run(adapter?.title),
+            price: run(adapter?.price),
+            currency: "",
+            vendor,
+            isbn: run(adapter?.isbn) || isbns[0] || "",
+            isbns,
+            author: run(adapter?.author),
+            publisher: run(adapter?.publisher),
+            date: run(adapter?.date),
+            edition: run(adapter?.edition),
+            format: run(adapter?.format)
+        };
+        out.currency = (adapter?.currency ? run((d) => adapter.currency(d, out.price)) : "") ||
+            currencyFromSymbol(out.price);
+
+        // Fallback for title
+        if (!out.title) out.title = (doc?.title || "").split("|")[0].trim();
+        return out;
+    }
+
+    /**
+     * Pulls ISBN-13/ISBN-10 out of Amazon's product details, falling back to the full page text
+     * @param {*} doc the page document
+     * @returns { isbn13, isbn10 } ("" when not found)
+     */
+    function amazonIsbns(doc) {
+        let isbn13 = "";
+        let isbn10 = "";
+
+        const rows = doc.querySelectorAll(
+            "#productDetails_detailBullets_sections1 tr, " +
+            "#detailBullets_feature_div li, " +
+            "#detailBulletsWrapper_feature_div li"
+        );
+
+        rows.forEach((row) => {
+            const label = (row.querySelector("th")?.textContent ||
+                row.querySelector("span.a-text-bold")?.textContent ||
+                row.firstChild?.textContent ||
+                "").trim();
+
+            const value = (row.querySelector("td")?.textContent ||
+                row.textContent ||
+                "").trim();
+
+            const txt = (label + " " + value).replace(/\s+/g, " ");
+
+            if (!isbn13 && /ISBN-13/i.test(txt)) {
+                const m = txt.match(/([0-9Xx\- ]{10,})/);
+                if (m) {
+                    isbn13 = m[1].replace(/[^0-9Xx]/g, "");
+                    if (isbn13.length > 13) isbn13 = isbn13.slice(-13);
+                }
+            }
+
+            if (!isbn10 && /ISBN-10/i.test(txt)) {
+                const m = txt.match(/([0-9Xx\- ]{9,})/);
+                if (m) {
+                    isbn10 = m[1].replace(/[^0-9Xx]/g, "");
+                    if (isbn10.length > 10) isbn10 = isbn10.slice(-10);
+                }
+            }
+        });
+
+        // Fallback: scan full page text for ISBN labels
+        if (!isbn13 || isbn13.length < 13 || !isbn10 || isbn10.length < 10) {
+            const full = (doc.body?.innerText || "").replace(/\s+/g, " ");
+
+            if (!isbn13 || isbn13.length < 13) {
+                const m13 = full.match(/ISBN[-\s]*13[^0-9Xx]+([0-9Xx\- ]{10,})/i);
+                if (m13) {
+                    isbn13 = m13[1].replace(/[^0-9Xx]/g, "");
+                    if (isbn13.length > 13) isbn13 = isbn13.slice(-13);
+                }
+            }
+
+            if (!isbn10 || isbn10.length < 10) {
+                const m10 = full.match(/ISBN[-\s]*10[^0-9Xx]+([0-9Xx\- ]{9,})/i);
+                if (m10) {
+                    isbn10 = m10[1].replace(/[^0-9Xx]/g, "");
+                    if (isbn10.length > 10) isbn10 = isbn10.slice(-10);
+                }
+            }
+        }
+
+        return {
+            isbn13,
+            isbn10
+        };
+    }
+
+    /**
+     * Reads Amazon's product details ("Publisher : Penguin; Reprint edition (May 1, 2003)", "Paperback : 320 pages" …)
+     * into a label → value map
+     * @param {*} doc the page document
+     * @returns the details keyed by lower-case label
+     */
+    function amazonDetails(doc) {
+        const out = {};
+        doc.querySelectorAll(
+            "#detailBullets_feature_div li, " +
+            "#detailBulletsWrapper_feature_div li, " +
+            "#productDetails_detailBullets_sections1 tr"
+        ).forEach((row) => {
+            const label = (row.querySelector("th, span.a-text-bold")?.textContent || "")
+                .replace(/[\u200e\u200f:]/g, "").replace(/\s+/g, " ").trim().toLowerCase();
+            const value = (row.querySelector("td, span.a-text-bold + span")?.textContent || "")
+                .replace(/[\u200e\u200f]/g, "").replace(/\s+/g, " ").trim();
+            if (label && value && !(label in out)) out[label] = value;
+        });
+        return out;
+    }
+
+    /**
+     * Splits Amazon's publisher detail, which may carry the edition and date: "Penguin Books; Reprint edition (May 1, 2003)"
+     * @param {*} doc the page document
+     * @returns { publisher, edition, date }
+     */
+    function amazonPublisher(doc) {
+        const details = amazonDetails(doc);
+        const raw = details.publisher || "";
+        const date = details["publication date"] || (raw.match(/\(([^)]*\d{4}[^)]*)\)\s*$/) || [])[1] || "";
+        const [publisher, edition] = raw.replace(/\([^)]*\)\s*$/, "").split(";").map(v => (v || "").trim());
+        return {
+            publisher: publisher || "",
+            edition: details.edition || edition || "",
+            date
+        };
+    }
+
+    // AMAZON
+    register({
+        id: "AMAZON",
+        label: "Amazon",
+        pattern: /amazon\./i,
+        title: (doc) => doc.getElementById("productTitle")?.textContent.trim() || "",
+        price: (doc) => {
+            // New Amazon price structure
+            const whole = doc.querySelector(".a-price .a-price-whole");
+            const fraction = doc.querySelector(".a-price .a-price-fraction");
+            if (whole && fraction) {
+                return `$${whole.textContent.replace(/[^\d]/g, "")}.${fraction.textContent}`;
+            }
+            // Older layouts only carry the screen-reader price text
+            const priceNode =
+                doc.querySelector("#corePrice_feature_div .a-offscreen") ||
+                doc.querySelector(".a-price .a-offscreen") ||
+                doc.querySelector("[data-a-color='price'] .a-offscreen");
+            return priceNode?.textContent?.trim() || "";
+        },
+        currency: (doc, price) => currencyFromSymbol(price),
+        // No isbn extractor: scrapePage takes the first of these, so the details are only read once
+        isbns: (doc) => {
+            const found = amazonIsbns(doc);
+            return [found.isbn13, found.isbn10].filter(Boolean);
+        },
+        author: (doc) => Array.from(doc.querySelectorAll("#bylineInfo .author > a, #bylineInfo .author .contributorNameID"))
+            .map(a => a.textContent.trim()).filter((v, i, all) => v && all.indexOf(v) === i).join("; "),
+        publisher: (doc) => amazonPublisher(doc).publisher,
+        date: (doc) => amazonPublisher(doc).date,
+        edition: (doc) => amazonPublisher(doc).edition,
+        // The binding is the label of the selected format, or the details row that gives the page count
+        format: (doc) => doc.querySelector("#productSubtitle")?.textContent.split(/[–—-]/)[0].trim() ||
+            Object.keys(amazonDetails(doc)).find(k => /^(paperback|hardcover|mass market paperback|board book|spiral-bound|library binding)$/.test(k)) || "",
+        defaults: {
+            po_line_type: "PRINT_OT",
+            material_type: "BOOK"
+        },
+        vendor: {
+            code: "AMAZON.COM",
+            desc: "Amazon.com, Inc.",
+            account: "AMAZON.COM"
+        }
+    });
+
+    // ABEBOOKS
+    register({
+        id: "ABEBOOKS",
+        label: "AbeBooks",
+        pattern: /abebooks\./i,
+        title: (doc) => doc.querySelector("h1[itemprop='name'], h1[itemprop='headline']")?.textContent.trim() || "",
+        price: (doc) => {
+            const priceEl =
+                doc.querySelector("[itemprop='price']") ||
+                doc.querySelector("meta[itemprop='price']") ||
+                doc.querySelector("[data-cy*='price']") ||
+                doc.querySelector("[class*='price']") ||
+                doc.querySelector(".price");
+            return priceEl ? (priceEl.getAttribute("content") || priceEl.textContent || "").trim() : "";
+        },
+        currency: () => "USD",
+        // The book page carries schema.org Book microdata
+        isbn: (doc) => (doc.querySelector("[itemprop='isbn']")?.textContent || "").replace(/[^0-9Xx]/g, ""),
+        isbns: (doc) => Array.from(doc.querySelectorAll("[itemprop='isbn']"))
+            .map(el => (el.getAttribute("content") || el.textContent || "").replace(/[^0-9Xx]/g, "")).filter(Boolean),
+        author: (doc) => doc.querySelector("[itemprop='author']")?.textContent.trim() || "",
+        publisher: (doc) => doc.querySelector("[itemprop='publisher']")?.textContent.trim() || "",
+        date: (doc) => doc.querySelector("[itemprop='datePublished']")?.textContent.trim() || "",
+        edition: (doc) => doc.querySelector("[itemprop='bookEdition']")?.textContent.trim() || "",
+        format: (doc) => doc.querySelector("[itemprop='bookFormat']")?.textContent.trim() || "",
+        defaults: {
+            po_line_type: "PRINT_OT",
+            material_type: "BOOK"
+        },
+        vendor: {
+            code: "ABEBOOKS.COM",
+            desc: "AbeBooks.com",
+            account: "ABEBOOKS.COM"
+        }
+    });
+
+    // KANOPY (cart items are scraped by content-kanopy.js; this adapter carries routing and defaults)
+    register({
+        id: "KANOPY",
+        label: "Kanopy",
+        pattern: /kanopy/i,
+        defaults: {
+            po_line_type: "ELECTRONIC_TITLE_OT",
+            material_type: "STREAMING_VIDEO",
+            access_provider: "Kanopy",
+            // Kanopy streams to any number of users at once; matched against Alma's access model descriptions
+            access_model: /unlimited/i
+        },
+        vendor: {
+            code: "Kanopy",
+            desc: "Kanopy LLC",
+            account: "Kanopy",
+            acquisition_method: "VENDOR_SYSTEM"
+        }
+    });
+
+    root.AlmaVendors = {
+        register,
+        byHost,
+        bySupplier,
+        byId,
+        scrapePage,
+        currencyFromSymbol,
+        isRecurringPoType,
+        all: () => ADAPTERS.slice()
+    };
+})(typeof self !== "undefined" ? self : this);